@@ -0,0 +1,65 @@
+/* =========================
+   SESSION HELPERS
+   Shared by every page that talks to a protected route.
+========================= */
+function getSession() {
+  return JSON.parse(localStorage.getItem("user"));
+}
+
+// fetch() with the access token attached. On a 401 it tries the refresh
+// token once, then sends the user back to the login page.
+async function authFetch(url, options = {}) {
+  const session = getSession();
+  if (!session) {
+    window.location.href = "login.html";
+    return;
+  }
+
+  // FormData bodies (file uploads) set their own multipart Content-Type
+  const json = !(options.body instanceof FormData);
+
+  const send = token => fetch(url, {
+    ...options,
+    headers: {
+      ...(json ? { "Content-Type": "application/json" } : {}),
+      ...(options.headers || {}),
+      Authorization: "Bearer " + token
+    }
+  });
+
+  let res = await send(session.access_token);
+  if (res.status !== 401) return res;
+
+  const refreshed = await fetch(new URL(url).origin + "/auth/refresh", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ refresh_token: session.refresh_token })
+  });
+
+  if (!refreshed.ok) {
+    localStorage.removeItem("user");
+    window.location.href = "login.html";
+    return res;
+  }
+
+  const tokens = await refreshed.json();
+  localStorage.setItem("user", JSON.stringify({ ...session, ...tokens }));
+
+  return send(tokens.access_token);
+}
+
+async function logoutSession(api) {
+  const session = getSession();
+  if (session) {
+    await fetch(api + "/logout", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: "Bearer " + session.access_token
+      }
+    }).catch(() => {});
+  }
+
+  localStorage.removeItem("user");
+  window.location.href = "login.html";
+}
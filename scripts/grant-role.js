@@ -0,0 +1,46 @@
+/*
+ * Grants or revokes a staff role, recording it in role_grants so the
+ * account survives the role clean-up in migration 20261019000022.
+ *
+ *   node scripts/grant-role.js <email> moderator|admin [note]
+ *   node scripts/grant-role.js <email> citizen
+ *
+ * "citizen" drops every staff grant for the account. Politicians are made
+ * by approving their application, not here.
+ */
+import { supabase } from "../utils/supabase.js";
+
+const STAFF_ROLES = ["moderator", "admin"];
+const [email, role, ...note] = process.argv.slice(2);
+
+if (!email || ![...STAFF_ROLES, "citizen"].includes(role)) {
+  console.error("Usage: node scripts/grant-role.js <email> moderator|admin|citizen [note]");
+  process.exit(1);
+}
+
+const { data: user } = await supabase
+  .from("users")
+  .select("id, username, role")
+  // Older accounts kept the email as typed, so match without case
+  .ilike("email", email.trim().replace(/[\\%_]/g, "\\$&"))
+  .maybeSingle();
+
+if (!user) {
+  console.error(`No account with email ${email}`);
+  process.exit(1);
+}
+
+const { error } = role === "citizen"
+  ? await supabase.from("role_grants").delete().eq("user_id", user.id)
+  : await supabase.from("role_grants").upsert(
+    { user_id: user.id, role, note: note.join(" ") || null },
+    { onConflict: "user_id,role" }
+  );
+
+if (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+await supabase.from("users").update({ role }).eq("id", user.id);
+console.log(`${user.username}: ${user.role} -> ${role}`);
@@ -0,0 +1,73 @@
+/*
+ * Converts IEBC boundary polygons (exported from the shapefiles as GeoJSON,
+ * WGS84) into data/geo/boundaries/<level>.json for reverse geocoding.
+ *
+ *   node scripts/import-boundaries.js wards path/to/wards.geojson [code_property]
+ *
+ * <level> is counties, constituencies or wards. Each feature needs a code
+ * property matching data/geo/*.json; the defaults are COUNTY_COD, CONST_CODE
+ * and WARD_CODE. The level's file is replaced.
+ */
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const DATA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "data", "geo");
+
+const LEVELS = {
+  counties: { property: "COUNTY_COD", width: 3 },
+  constituencies: { property: "CONST_CODE", width: 3 },
+  wards: { property: "WARD_CODE", width: 4 }
+};
+
+const [level, file, property = LEVELS[level]?.property] = process.argv.slice(2);
+
+if (!LEVELS[level] || !file) {
+  console.error("Usage: node scripts/import-boundaries.js <counties|constituencies|wards> <file.geojson> [code_property]");
+  process.exit(1);
+}
+
+const known = new Set(
+  JSON.parse(fs.readFileSync(path.join(DATA_DIR, `${level}.json`), "utf8")).map(r => r.code)
+);
+
+// ~1 m precision is plenty for deciding which ward a report falls in
+const round = ([lng, lat]) => [Math.round(lng * 1e5) / 1e5, Math.round(lat * 1e5) / 1e5];
+
+const { features = [] } = JSON.parse(fs.readFileSync(file, "utf8"));
+const rows = [];
+
+for (const feature of features) {
+  const { type, coordinates } = feature.geometry || {};
+  const polygons = type === "Polygon" ? [coordinates] : type === "MultiPolygon" ? coordinates : null;
+  const raw = feature.properties?.[property];
+
+  if (!polygons || raw === undefined || raw === null) {
+    console.warn(`Skipping a feature without ${property} or polygon geometry`);
+    continue;
+  }
+
+  const code = String(raw).trim().padStart(LEVELS[level].width, "0");
+  if (!known.has(code)) {
+    console.warn(`Skipping ${code}: not in data/geo/${level}.json`);
+    continue;
+  }
+
+  const rings = polygons.map(polygon => polygon.map(ring => ring.map(round)));
+  const bbox = rings.flat(2).reduce(
+    ([minLng, minLat, maxLng, maxLat], [lng, lat]) => [
+      Math.min(minLng, lng), Math.min(minLat, lat), Math.max(maxLng, lng), Math.max(maxLat, lat)
+    ],
+    [Infinity, Infinity, -Infinity, -Infinity]
+  );
+
+  rows.push({ code, bbox, polygons: rings });
+}
+
+fs.mkdirSync(path.join(DATA_DIR, "boundaries"), { recursive: true });
+fs.writeFileSync(
+  path.join(DATA_DIR, "boundaries", `${level}.json`),
+  "[\n" + rows.map(r => "  " + JSON.stringify(r)).join(",\n") + "\n]\n"
+);
+
+console.log(`Imported ${rows.length} ${level} boundaries`);
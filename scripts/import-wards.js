@@ -0,0 +1,82 @@
+/*
+ * Merges wards from an IEBC ward register CSV into data/geo/wards.json.
+ *
+ *   node scripts/import-wards.js path/to/wards.csv
+ *
+ * The CSV needs a header row with at least: ward_code, ward_name,
+ * constituency_code. Existing wards with the same code are replaced.
+ */
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const DATA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "data", "geo");
+const file = process.argv[2];
+
+if (!file) {
+  console.error("Usage: node scripts/import-wards.js <wards.csv>");
+  process.exit(1);
+}
+
+// Splits one CSV line, honouring double-quoted fields
+function parseLine(line) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { cells.push(cell); cell = ""; }
+    else cell += ch;
+  }
+  cells.push(cell);
+  return cells.map(c => c.trim());
+}
+
+const [header, ...lines] = fs.readFileSync(file, "utf8").split(/\r?\n/).filter(Boolean);
+const columns = parseLine(header).map(c => c.toLowerCase());
+const col = name => {
+  const i = columns.indexOf(name);
+  if (i === -1) {
+    console.error(`Missing column: ${name}`);
+    process.exit(1);
+  }
+  return i;
+};
+
+const [wardCode, wardName, constituencyCode] = ["ward_code", "ward_name", "constituency_code"].map(col);
+
+const constituencies = new Set(
+  JSON.parse(fs.readFileSync(path.join(DATA_DIR, "constituencies.json"), "utf8")).map(c => c.code)
+);
+
+const wardsFile = path.join(DATA_DIR, "wards.json");
+const wards = new Map(JSON.parse(fs.readFileSync(wardsFile, "utf8")).map(w => [w.code, w]));
+
+let imported = 0;
+for (const line of lines) {
+  const cells = parseLine(line);
+  const ward = {
+    code: cells[wardCode].padStart(4, "0"),
+    constituency_code: cells[constituencyCode].padStart(3, "0"),
+    name: cells[wardName]
+  };
+
+  if (!constituencies.has(ward.constituency_code)) {
+    console.warn(`Skipping ${ward.name}: unknown constituency ${ward.constituency_code}`);
+    continue;
+  }
+
+  wards.set(ward.code, ward);
+  imported++;
+}
+
+const rows = [...wards.values()].sort((a, b) => a.code.localeCompare(b.code));
+fs.writeFileSync(wardsFile, "[\n" + rows.map(r => "  " + JSON.stringify(r)).join(",\n") + "\n]\n");
+
+console.log(`Imported ${imported} wards (${rows.length} total)`);
@@ -0,0 +1,102 @@
+/*
+ * Minimal stand-in for Safaricom's Daraja API for local development.
+ *
+ *   DARAJA_BASE_URL=http://localhost:4010 npm start
+ *   npm run mock:daraja
+ *
+ * STK pushes "succeed" after a short delay and post the callback back to the
+ * CallBackURL they were given. Send an amount ending in 1 (e.g. 2001) to get
+ * a "cancelled by user" result instead. POST /simulate/c2b fires a C2B
+ * confirmation, as if someone paid the till directly.
+ */
+import express from "express";
+import crypto from "crypto";
+
+const app = express();
+app.use(express.json());
+
+const PORT = process.env.MOCK_DARAJA_PORT || 4010;
+const API = process.env.PUBLIC_API_URL || "http://localhost:3000";
+const TOKEN = process.env.MPESA_CALLBACK_TOKEN || "";
+
+const receipt = () => crypto.randomBytes(8).toString("hex").toUpperCase().slice(0, 10);
+
+async function post(url, body) {
+  try {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body)
+    });
+    console.log(`→ ${url} ${res.status}`, await res.text());
+  } catch (err) {
+    console.log(`→ ${url} failed: ${err.message}`);
+  }
+}
+
+app.get("/oauth/v1/generate", (req, res) => {
+  res.json({ access_token: "mock-token", expires_in: "3599" });
+});
+
+app.post("/mpesa/stkpush/v1/processrequest", (req, res) => {
+  const { Amount, PhoneNumber, CallBackURL } = req.body;
+  const MerchantRequestID = crypto.randomUUID();
+  const CheckoutRequestID = "ws_CO_" + Date.now();
+
+  res.json({
+    MerchantRequestID,
+    CheckoutRequestID,
+    ResponseCode: "0",
+    ResponseDescription: "Success. Request accepted for processing",
+    CustomerMessage: "Success. Request accepted for processing"
+  });
+
+  const cancelled = String(Amount).endsWith("1");
+
+  setTimeout(() => post(CallBackURL, {
+    Body: {
+      stkCallback: cancelled
+        ? {
+          MerchantRequestID,
+          CheckoutRequestID,
+          ResultCode: 1032,
+          ResultDesc: "Request cancelled by user"
+        }
+        : {
+          MerchantRequestID,
+          CheckoutRequestID,
+          ResultCode: 0,
+          ResultDesc: "The service request is processed successfully.",
+          CallbackMetadata: {
+            Item: [
+              { Name: "Amount", Value: Number(Amount) },
+              { Name: "MpesaReceiptNumber", Value: receipt() },
+              { Name: "TransactionDate", Value: Number(new Date().toISOString().replace(/\D/g, "").slice(0, 14)) },
+              { Name: "PhoneNumber", Value: Number(PhoneNumber) }
+            ]
+          }
+        }
+    }
+  }), 2000);
+});
+
+app.post("/simulate/c2b", (req, res) => {
+  const TransID = req.body.receipt || receipt();
+
+  post(`${API}/payments/mpesa/c2b/confirmation?token=${TOKEN}`, {
+    TransactionType: "Buy Goods",
+    TransID,
+    TransTime: new Date().toISOString().replace(/\D/g, "").slice(0, 14),
+    TransAmount: String(req.body.amount || 0),
+    BusinessShortCode: process.env.MPESA_SHORTCODE || "174379",
+    BillRefNumber: req.body.bill_ref || "",
+    MSISDN: req.body.msisdn || "254708374149",
+    FirstName: "Test"
+  });
+
+  res.json({ TransID });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock Daraja running on http://localhost:${PORT}`);
+});
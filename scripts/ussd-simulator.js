@@ -0,0 +1,124 @@
+/*
+ * Local stand-in for Africa's Talking, for trying the SMS/USSD channel
+ * from a terminal.
+ *
+ *   AT_BASE_URL=http://localhost:4020 AT_CALLBACK_TOKEN=dev SMS_TRANSPORT=africastalking npm start
+ *   AT_CALLBACK_TOKEN=dev npm run simulate:ussd
+ *
+ * It dials the API's /ussd/callback the way the network does, sending the
+ * whole input chain ("1*Kipevu*2") with each step, and prints every SMS the
+ * API sends through the messaging endpoint. Commands:
+ *
+ *   dial           start a USSD session
+ *   <anything>     answer the current USSD screen
+ *   sms <text>     send an SMS to the API, e.g. "sms WARD Kipevu"
+ *   quit
+ */
+import express from "express";
+import crypto from "crypto";
+import readline from "readline";
+
+const PORT = process.env.MOCK_AT_PORT || 4020;
+const API = process.env.PUBLIC_API_URL || "http://localhost:3000";
+const TOKEN = process.env.AT_CALLBACK_TOKEN || "";
+const PHONE = process.env.SIM_PHONE || "+254712345678";
+const SERVICE_CODE = process.env.USSD_SERVICE_CODE || "*384*123#";
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+// Outgoing SMS from the API
+app.post("/version1/messaging", (req, res) => {
+  console.log(`\n📩 SMS to ${req.body.to}:\n${req.body.message}\n`);
+  rl.prompt();
+
+  res.status(201).json({
+    SMSMessageData: {
+      Message: "Sent to 1/1 Total Cost: KES 0.8000",
+      Recipients: String(req.body.to).split(",").map(number => ({
+        statusCode: 101,
+        number,
+        status: "Success",
+        cost: "KES 0.8000",
+        messageId: `ATXid_${crypto.randomBytes(8).toString("hex")}`
+      }))
+    }
+  });
+});
+
+async function callback(path, fields) {
+  const res = await fetch(`${API}${path}?token=${TOKEN}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams(fields)
+  });
+  return { status: res.status, text: await res.text() };
+}
+
+let session = null;
+let inputs = [];
+
+async function ussd(input) {
+  if (input !== null) inputs.push(input);
+
+  const { status, text } = await callback("/ussd/callback", {
+    sessionId: session,
+    serviceCode: SERVICE_CODE,
+    phoneNumber: PHONE,
+    networkCode: "63902",
+    text: inputs.join("*")
+  });
+
+  if (status !== 200) {
+    console.log(`USSD callback answered ${status}: ${text}`);
+    session = null;
+    return;
+  }
+
+  console.log(`\n${text.replace(/^(CON|END) /, "")}\n`);
+  if (text.startsWith("END")) {
+    console.log("(session ended)");
+    session = null;
+  }
+}
+
+const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: "> " });
+
+rl.on("line", async line => {
+  const value = line.trim();
+
+  try {
+    if (value === "quit") {
+      rl.close();
+      return;
+    } else if (value === "dial") {
+      session = `ATUid_${crypto.randomBytes(8).toString("hex")}`;
+      inputs = [];
+      await ussd(null);
+    } else if (value.startsWith("sms ")) {
+      const { status } = await callback("/sms/callback", {
+        from: PHONE,
+        to: process.env.AT_SHORTCODE || "40404",
+        text: value.slice(4),
+        date: new Date().toISOString(),
+        id: crypto.randomUUID()
+      });
+      console.log(`(SMS delivered to API, ${status})`);
+    } else if (session) {
+      await ussd(value);
+    } else {
+      console.log('Type "dial" to start a USSD session, or "sms <text>".');
+    }
+  } catch (err) {
+    console.log(`Could not reach ${API}: ${err.message}`);
+  }
+
+  rl.prompt();
+});
+
+rl.on("close", () => process.exit(0));
+
+app.listen(PORT, () => {
+  console.log(`Mock Africa's Talking on http://localhost:${PORT}, phone ${PHONE}`);
+  rl.prompt();
+});
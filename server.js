@@ -3,11 +3,158 @@ import cors from "cors";
 import bcrypt from "bcryptjs";
 import path from "path";
 import dotenv from "dotenv";
-import crypto from "crypto";
 import { fileURLToPath } from "url";
 
-import { createClient } from "@supabase/supabase-js";
-import { sendEmail } from "./utils/mailer.js";
+import { supabase } from "./utils/supabase.js";
+import {
+  LOCALES,
+  NOTIFICATION_CATEGORIES,
+  NOTIFICATION_STATUSES,
+  preferencesFor,
+  setPreferences,
+  checkUnsubscribe,
+  retryNotification,
+  startQueueWorker
+} from "./utils/notifications.js";
+import {
+  issueSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  requireAuth,
+  optionalAuth
+} from "./utils/auth.js";
+import { authorize, can, owners, secretFilter } from "./utils/permissions.js";
+import {
+  feeForSeat,
+  normaliseReceipt,
+  normaliseMsisdn,
+  requestStkPush,
+  isTrustedCallback,
+  parseStkMetadata,
+  recordTransaction,
+  settleApplication,
+  applicationReference,
+  settleByReceipt
+} from "./utils/payments.js";
+import {
+  listCounties,
+  getCounty,
+  getConstituency,
+  getWard,
+  constituenciesOf,
+  wardsOf,
+  resolveLocation,
+  locationColumns,
+  validateSeatGeography,
+  SEAT_GEOGRAPHY,
+  parseCoordinates,
+  locateCoordinates,
+  reconcileLocation
+} from "./utils/geo.js";
+import {
+  moderate,
+  visibilityFor,
+  enqueueForReview,
+  resolveReview
+} from "./utils/moderation.js";
+import {
+  REPORT_REASONS,
+  REPORT_TARGETS,
+  RESOLUTIONS,
+  targetOwner,
+  recordAction,
+  hideContent,
+  warnUser,
+  suspendUser
+} from "./utils/reports.js";
+import { parseLimit, afterCursor, page } from "./utils/pagination.js";
+import {
+  STANCES,
+  VERDICTS,
+  checkNearby,
+  confidenceLevel,
+  refreshCredibility,
+  setVerdict
+} from "./utils/credibility.js";
+import {
+  MANIFESTO_CATEGORIES,
+  withDiffs
+} from "./utils/manifestos.js";
+import {
+  PROMISE_STATUSES,
+  PROMISE_FIELDS,
+  EVIDENCE_SHOWS,
+  canMoveTo,
+  changeStatus,
+  isOverdue,
+  scorecard
+} from "./utils/promises.js";
+import { SEARCH_TYPES, search } from "./utils/search.js";
+import { ballotFor } from "./utils/ballot.js";
+import { targetExists } from "./utils/targets.js";
+import { submitGroundUpdate } from "./utils/reporting.js";
+import { normalisePhone } from "./utils/phone.js";
+import { sendCode, sendAccountExists, consumeCode, consumeToken } from "./utils/otp.js";
+import {
+  rateLimit,
+  tooMany,
+  lockedFor,
+  loginFailed,
+  loginSucceeded,
+  targetOf
+} from "./utils/ratelimit.js";
+import { sendSms, isTrustedGatewayCallback } from "./utils/sms.js";
+import { handleUssd, handleSms } from "./utils/gateway.js";
+import {
+  COMMENT_TARGETS,
+  COMMENT_MAX,
+  EDIT_WINDOW_MINUTES,
+  canEdit,
+  listComments,
+  commentCounts,
+  threadFor,
+  notifyReply,
+  castVote
+} from "./utils/comments.js";
+import {
+  RATING_TARGETS,
+  ratingSummary,
+  submitRating,
+  resolveBurst
+} from "./utils/ratings.js";
+import { MAX_COMPARE, checkSameRace, compareCandidates } from "./utils/compare.js";
+import {
+  ESCALATION_STATUSES,
+  listRules,
+  acknowledge,
+  acknowledgeByToken,
+  evaluateEscalations,
+  resolveEscalation,
+  webhooksEnabled
+} from "./utils/escalation.js";
+import {
+  GROUND_CATEGORIES,
+  FEED_COUNTS,
+  decorateFeed,
+  interactionState,
+  resolveOriginal,
+  filterUpdates,
+  followingFilter,
+  parseBbox,
+  clusterIncidents,
+  MAX_ZOOM
+} from "./utils/ground.js";
+import {
+  MAX_FILES,
+  acceptMedia,
+  prepareMedia,
+  attachMedia,
+  mediaFor,
+  countMedia,
+  storage,
+  publicMediaType
+} from "./utils/media.js";
 
 dotenv.config();
 
@@ -18,33 +165,38 @@ const PORT = process.env.PORT || 3000;
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Client addresses (for rate limits and lockout) come from the socket unless
+// TRUST_PROXY names how many proxies deep to read X-Forwarded-For. Set it
+// (1 on Render and most hosts) only when a proxy really sits in front, or
+// clients can pick their own address.
+const trustProxy = Number(process.env.TRUST_PROXY) || 0;
+app.set("trust proxy", trustProxy > 0 ? trustProxy : false);
+
 /* =========================
    MIDDLEWARE
 ========================= */
 app.use(cors());
 app.use(express.json());
+app.use(secretFilter);
 
 /* =========================
    STATIC FRONTEND
 ========================= */
 app.use(express.static(path.join(__dirname, "public")));
 
-/* =========================
-   SUPABASE
-========================= */
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_KEY
-);
-async function requireAdmin(admin_id) {
-  const { data } = await supabase
-    .from('users')
-    .select('role')
-    .eq('id', admin_id)
-    .single();
+// Evidence uploads, served only while the post they belong to is visible.
+// Short caching so a removal takes effect within minutes.
+app.get("/media/*", async (req, res) => {
+  try {
+    const type = await publicMediaType(req.params[0]);
+    if (!type) return res.status(404).json({ error: "Not found" });
 
-  return data && data.role === 'admin';
-}
+    res.set("Cache-Control", "public, max-age=300");
+    await storage.send(res, req.params[0], type);
+  } catch (err) {
+    if (!res.headersSent) res.status(500).json({ error: "Server error" });
+  }
+});
 
 /* =========================
    TEST ROUTES
@@ -60,11 +212,50 @@ app.get("/env-test", (req, res) => {
   });
 });
 
+/* =========================
+   ELECTORAL GEOGRAPHY
+========================= */
+app.get("/geo/counties", (req, res) => {
+  res.json(listCounties());
+});
+
+app.get("/geo/counties/:code", (req, res) => {
+  const county = getCounty(req.params.code);
+  if (!county) return res.status(404).json({ error: "County not found" });
+  res.json(county);
+});
+
+app.get("/geo/counties/:code/constituencies", (req, res) => {
+  if (!getCounty(req.params.code)) {
+    return res.status(404).json({ error: "County not found" });
+  }
+  res.json(constituenciesOf(req.params.code));
+});
+
+app.get("/geo/constituencies/:code", (req, res) => {
+  const constituency = getConstituency(req.params.code);
+  if (!constituency) return res.status(404).json({ error: "Constituency not found" });
+  res.json(constituency);
+});
+
+app.get("/geo/constituencies/:code/wards", (req, res) => {
+  if (!getConstituency(req.params.code)) {
+    return res.status(404).json({ error: "Constituency not found" });
+  }
+  res.json(wardsOf(req.params.code));
+});
+
+app.get("/geo/wards/:code", (req, res) => {
+  const ward = getWard(req.params.code);
+  if (!ward) return res.status(404).json({ error: "Ward not found" });
+  res.json(ward);
+});
+
 // DATABASE TEST ROUTE
-app.get('/test-db', async (req, res) => {
+app.get('/test-db', authorize('users:read'), async (req, res) => {
   const { data, error } = await supabase
     .from('users')
-    .select('*')
+    .select('id, username, role, created_at')
     .limit(5);
 
   if (error) {
@@ -73,203 +264,640 @@ app.get('/test-db', async (req, res) => {
 
   res.json(data);
 });
-app.post("/register", async (req, res) => {
-  const { username, email, password, role } = req.body;
 
-  const password_hash = await bcrypt.hash(password, 10);
-  const code = Math.floor(100000 + Math.random() * 900000).toString();
+/*
+ * Sign-up by phone number. Nothing is written to users until the SMS code
+ * comes back: the username and password hash wait with the code. A number
+ * first seen over USSD already has a password-less account, which the
+ * code then claims.
+ */
+async function registerByPhone(req, res) {
+  const { username, password } = req.body;
+  const phone = normalisePhone(req.body.phone);
+  const locale = LOCALES.includes(req.body.locale) ? req.body.locale : 'en';
+
+  if (!phone) {
+    return res.status(400).json({ error: "Enter a valid Kenyan phone number" });
+  }
+
+  if (typeof username !== "string" || !username.trim() || typeof password !== "string" || !password) {
+    return res.status(400).json({ error: "Username and password are required" });
+  }
+
+  try {
+    const [{ data: holder }, { data: taken }] = await Promise.all([
+      supabase.from("users").select("id, password_hash").eq("phone", phone).maybeSingle(),
+      supabase.from("users").select("id").eq("username", username).maybeSingle()
+    ]);
+
+    if (taken) {
+      return res.status(400).json({ error: "Username already taken" });
+    }
+
+    // The number's owner hears about it; the answer here stays the same
+    if (holder?.password_hash) {
+      sendAccountExists({ channel: "sms", destination: phone, locale })
+        .catch(err => console.error("Could not send account notice:", err.message));
+      return res.json({ success: true, phone });
+    }
+
+    await sendCode({
+      channel: "sms",
+      destination: phone,
+      purpose: "register",
+      locale,
+      payload: { username, password_hash: await bcrypt.hash(password, 10), locale }
+    });
+
+    res.json({ success: true, phone });
+  } catch (err) {
+    if (err instanceof RangeError) return res.status(429).json({ error: err.message });
+    res.status(502).json({ error: "Could not send the code, please try again" });
+  }
+}
+
+// Registers by email, or by phone when only a phone number is given
+app.post("/register", rateLimit("send_code", "sign-up attempts"), async (req, res) => {
+  const { username, password, locale } = req.body;
+
+  if (req.body.phone && !req.body.email) return registerByPhone(req, res);
 
-  const { error } = await supabase.from("users").insert([{
-    username,
-    email,
-    password_hash,
-    role,
-    email_verified: false,
-    verify_code: code,
-    verify_code_expires: new Date(Date.now() + 15 * 60 * 1000)
-  }]);
+  const email = targetOf({ email: req.body.email }) || '';
 
-if (error) {
-  if (error.message.includes("users_username_key")) {
-    return res.status(400).json({ error: "Username already taken" });
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return res.status(400).json({ error: "Enter a valid email address or phone number" });
   }
-  if (error.message.includes("users_email_key")) {
-    return res.status(400).json({ error: "Email already registered" });
+
+  if (typeof username !== "string" || !username.trim() || typeof password !== "string" || !password) {
+    return res.status(400).json({ error: "Username and password are required" });
+  }
+
+  const accountExists = () => {
+    sendAccountExists({ channel: "email", destination: email, locale })
+      .catch(err => console.error("Could not send account notice:", err.message));
+    return res.json({ success: true });
+  };
+
+  try {
+    const password_hash = await bcrypt.hash(password, 10);
+
+    // An address that already has an account gets a notice instead, and the
+    // answer is the same as for a new sign-up
+    const { data: holder } = await withEmail(supabase.from("users").select("id"), email).maybeSingle();
+    if (holder) return accountExists();
+
+    const { data: created, error } = await supabase.from("users").insert([{
+      username,
+      email,
+      password_hash,
+      // Politician and staff roles are granted by an admin, never self-selected
+      role: 'citizen',
+      locale: LOCALES.includes(locale) ? locale : 'en',
+      email_verified: false
+    }]).select("id, locale").single();
+
+    if (error) {
+      if (error.message.includes("users_username_key")) {
+        return res.status(400).json({ error: "Username already taken" });
+      }
+      if (error.message.includes("users_email_key")) return accountExists();
+      return res.status(400).json({ error: error.message });
+    }
+
+    // Queued and retried; a mail outage must not fail the sign-up
+    sendVerification(created.id, email, created.locale)
+      .catch(err => console.error("Could not queue verification email:", err.message));
+
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: "Server error" });
   }
-  return res.status(400).json({ error: error.message });
+});
+
+// Addresses are stored as targetOf() gives them (trimmed, lowercased), but
+// older accounts may not be, so lookups ignore case
+const withEmail = (query, email) => query.ilike("email", email.replace(/[\\%_]/g, "\\$&"));
+
+function sendVerification(user_id, email, locale) {
+  return sendCode({ channel: "email", destination: email, purpose: "verify_email", user_id, locale });
 }
 
-  await sendEmail(
-    email,
-    "Verify your Kenya E-Campaign account 🇰🇪",
-    `
-      <h3>Welcome to Kenya E-Campaign Platform</h3>
-      <p>Your verification code is:</p>
-      <h2>${code}</h2>
-      <p>This code expires in 15 minutes.</p>
-    `
-  );
+/*
+ * Saves an email address confirmed by code or link: marks a sign-up's
+ * address verified, or links a new one to the account that asked. Returns
+ * an error message, or null.
+ */
+async function confirmEmail({ user_id, purpose }, email) {
+  const update = purpose === "link_email"
+    ? { email, email_verified: true }
+    : { email_verified: true };
+
+  const { error } = await supabase.from("users").update(update).eq("id", user_id);
+
+  if (error?.message.includes("users_email_key")) return "That email is linked to another account";
+  if (error) throw new Error(error.message);
+  return null;
+}
 
-  res.json({ success: true });
+// CONFIRM AN EMAIL ADDRESS WITH THE TYPED CODE...
+app.post("/verify-email", rateLimit("check_code", "attempts"), async (req, res) => {
+  const email = targetOf({ email: req.body.email });
+
+  try {
+    const confirmed = email && await consumeCode({ destination: email, purpose: "verify_email", code: req.body.code });
+    if (!confirmed) {
+      return res.status(400).json({ error: "Invalid or expired code" });
+    }
+
+    await confirmEmail({ ...confirmed, purpose: "verify_email" }, email);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: "Server error" });
+  }
 });
 
-app.post("/verify-email", async (req, res) => {
-  const { email, code } = req.body;
+// ...OR WITH THE LINK IN THE EMAIL (sign-up and linked addresses alike).
+// The GET only shows a button, so mail scanners that prefetch links can't
+// use up the token or verify an address nobody opened.
+app.get("/verify-email", (req, res) => {
+  const token = String(req.query.token || "");
 
-  const { data: user } = await supabase
-    .from("users")
-    .select("*")
-    .eq("email", email)
-    .single();
+  if (!/^[A-Za-z0-9_-]{16,}$/.test(token)) {
+    return res.redirect("/verify.html?link=expired");
+  }
+
+  res.send(`
+    <form method="post" action="/verify-email/link">
+      <input type="hidden" name="token" value="${token}">
+      <button type="submit">Confirm my email address</button>
+    </form>
+  `);
+});
 
-  if (
-    !user ||
-    user.verify_code !== code ||
-    new Date() > new Date(user.verify_code_expires)
-  ) {
-    return res.status(400).json({ error: "Invalid or expired code" });
+app.post("/verify-email/link", express.urlencoded({ extended: false }), rateLimit("check_code", "attempts"), async (req, res) => {
+  try {
+    const confirmed = await consumeToken(req.body.token, ["verify_email", "link_email"]);
+    if (!confirmed) return res.redirect("/verify.html?link=expired");
+
+    const error = await confirmEmail(confirmed, confirmed.destination);
+    if (error) return res.redirect("/verify.html?link=taken");
+
+    res.redirect(confirmed.purpose === "link_email" ? "/my-profile.html?email=linked" : "/login.html?verified=1");
+  } catch (err) {
+    res.status(500).send("Server error");
   }
+});
+
+// A fresh code and link for an unverified sign-up. The answer is the same
+// whether or not the address has an account.
+app.post("/verify-email/resend", rateLimit("send_code", "code requests"), async (req, res) => {
+  const email = targetOf({ email: req.body.email });
 
-  await supabase.from("users").update({
-    email_verified: true,
-    verify_code: null,
-    verify_code_expires: null
-  }).eq("email", email);
+  if (email) {
+    withEmail(supabase.from("users").select("id, locale, email_verified"), email)
+      .maybeSingle()
+      .then(({ data: user }) => user && !user.email_verified && sendVerification(user.id, email, user.locale))
+      .catch(err => console.error("Could not resend verification email:", err.message));
+  }
 
   res.json({ success: true });
 });
 
+// CONFIRM A PHONE SIGN-UP WITH THE SMS CODE
+app.post("/verify-phone", rateLimit("check_code", "attempts"), async (req, res) => {
+  const phone = normalisePhone(req.body.phone);
+
+  try {
+    const pending = phone && await consumeCode({ destination: phone, purpose: "register", code: req.body.code });
+    if (!pending) {
+      return res.status(400).json({ error: "Invalid or expired code" });
+    }
+
+    const { username, password_hash, locale } = pending.payload;
+
+    const { data: holder } = await supabase
+      .from("users")
+      .select("id, password_hash")
+      .eq("phone", phone)
+      .maybeSingle();
+
+    // Registered since the code was sent; answer as for a wrong code
+    if (holder?.password_hash) {
+      return res.status(400).json({ error: "Invalid or expired code" });
+    }
+
+    const { error } = holder
+      ? await supabase.from("users")
+        .update({ username, password_hash, locale, phone_verified: true })
+        .eq("id", holder.id)
+      : await supabase.from("users").insert([{
+        username,
+        phone,
+        phone_verified: true,
+        password_hash,
+        role: 'citizen',
+        locale
+      }]);
+
+    if (error) {
+      if (error.message.includes("users_username_key")) {
+        return res.status(400).json({ error: "Username already taken" });
+      }
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+
+// Session payload shared by password and code logins
+async function loginResponse(user) {
+  const tokens = await issueSession(user);
+
+  return {
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    phone: user.phone,
+    role: user.role,
+    ...tokens
+  };
+}
 
-// USER LOGIN
-app.post('/login', async (req, res) => {
+// USER LOGIN (EMAIL OR PHONE NUMBER, WITH PASSWORD)
+app.post('/login', rateLimit('login', 'login attempts'), async (req, res) => {
   const { email, password } = req.body;
+  const phone = req.body.phone && !email ? normalisePhone(req.body.phone) : null;
 
   // Basic validation
-  if (!email || !password) {
-    return res.status(400).json({ error: 'Email and password are required' });
+  if ((!email && !req.body.phone) || !password) {
+    return res.status(400).json({ error: 'Email or phone number and password are required' });
+  }
+
+  if (req.body.phone && !email && !phone) {
+    return res.status(401).json({ error: 'Invalid phone number or password' });
   }
 
+  // Repeated wrong passwords lock the email or number for a while, whether
+  // or not it has an account
+  const account = phone || String(email).trim().toLowerCase();
+  const invalid = phone ? 'Invalid phone number or password' : 'Invalid email or password';
+
+  const refuse = async () => {
+    const lock = await loginFailed(account);
+    return lock ? tooMany(res, lock, 'failed logins') : res.status(401).json({ error: invalid });
+  };
+
   try {
-    // Find user by email
-    const { data: user, error } = await supabase
-      .from('users')
-      .select('*')
-      .eq('email', email)
+    const locked = await lockedFor(account);
+    if (locked) return tooMany(res, locked, 'failed logins');
+
+    // Find user by email or phone
+    const lookup = supabase.from('users').select('*');
+    const { data: user, error } = await (phone ? lookup.eq('phone', phone) : withEmail(lookup, account))
       .single();
 
     if (error || !user) {
-      return res.status(401).json({ error: 'Invalid email or password' });
+      return refuse();
     }
 
-    // Check if user is active
+    // Compare passwords. Accounts made over USSD have none until claimed.
+  const passwordMatch = !!user.password_hash && await bcrypt.compare(password, user.password_hash);
+
+if (!passwordMatch) {
+  return refuse();
+}
+
+    await loginSucceeded(account);
+
+    // Only someone with the password learns the account is suspended
     if (!user.is_active) {
       return res.status(403).json({ error: 'Account is suspended' });
     }
 
-    // Compare passwords
-  const passwordMatch = await bcrypt.compare(password, user.password_hash);
-
-if (!passwordMatch) {
-  return res.status(401).json({ error: "Invalid email or password" });
+if (phone ? !user.phone_verified : !user.email_verified) {
+  return res.json({ error: phone ? "Please verify your phone number first" : "Please verify your email first" });
 }
 
-if (!user.email_verified) {
-  return res.json({ error: "Please verify your email first" });
-}
+    res.json(await loginResponse(user));
 
-    // Remove password before sending response
-    delete user.password_hash;
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-    res.json({
-  id: user.id,
-  username: user.username,
-  email: user.email,
-  role: user.role
+// LOGIN BY SMS CODE: ask for a code...
+// The answer is the same whether or not the number has an account.
+app.post('/login/otp', rateLimit('send_code', 'code requests'), async (req, res) => {
+  const phone = normalisePhone(req.body.phone);
+
+  if (!phone) {
+    return res.status(400).json({ error: 'Enter a valid Kenyan phone number' });
+  }
+
+  try {
+    const { data: user } = await supabase
+      .from('users')
+      .select('id, locale, is_active')
+      .eq('phone', phone)
+      .eq('phone_verified', true)
+      .maybeSingle();
+
+    // Sent in the background so neither errors nor timing give accounts away
+    if (user?.is_active) {
+      sendCode({ channel: 'sms', destination: phone, purpose: 'login', user_id: user.id, locale: user.locale })
+        .catch(err => console.error('Could not send login code:', err.message));
+    }
+
+    res.json({ success: true, message: 'If this number has an account, a code is on its way' });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
 });
 
+// ...then trade it for a session
+app.post('/login/otp/verify', rateLimit('check_code', 'attempts'), async (req, res) => {
+  const phone = normalisePhone(req.body.phone);
+
+  try {
+    const login = phone && await consumeCode({ destination: phone, purpose: 'login', code: req.body.code });
+    if (!login) {
+      return res.status(401).json({ error: 'Invalid or expired code' });
+    }
+
+    const { data: user } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', login.user_id)
+      .single();
+
+    if (!user?.is_active) {
+      return res.status(403).json({ error: 'Account is suspended' });
+    }
 
+    res.json(await loginResponse(user));
   } catch (err) {
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-app.post("/forgot-password", async (req, res) => {
-  const { email } = req.body;
-  const code = Math.floor(100000 + Math.random() * 900000).toString();
+// EXCHANGE REFRESH TOKEN FOR A NEW TOKEN PAIR
+app.post('/auth/refresh', async (req, res) => {
+  const { refresh_token } = req.body;
 
-  const { data: user } = await supabase
-    .from("users")
-    .select("id")
-    .eq("email", email)
-    .single();
+  if (!refresh_token) {
+    return res.status(400).json({ error: 'Refresh token is required' });
+  }
 
- if (!user) {
-  return res.status(404).json({ error: "Email not found" });
-}
+  try {
+    const tokens = await refreshSession(refresh_token);
 
+    if (!tokens) {
+      return res.status(401).json({ error: 'Session has ended, please log in again' });
+    }
 
-  await supabase.from("users").update({
-    reset_code: code,
-    reset_code_expires: new Date(Date.now() + 15 * 60 * 1000)
-  }).eq("email", email);
+    res.json(tokens);
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-  await sendEmail(
-    email,
-    "Reset your Kenya E-Campaign password 🇰🇪",
-    `
-      <p>Your reset code:</p>
-      <h2>${code}</h2>
-      <p>Expires in 15 minutes.</p>
-    `
-  );
+// LOGOUT (CURRENT SESSION, OR EVERY DEVICE WITH { all: true })
+app.post('/logout', requireAuth, async (req, res) => {
+  if (req.body.all) {
+    await revokeAllSessions(req.user.id);
+  } else {
+    await revokeSession(req.session_id);
+  }
 
   res.json({ success: true });
 });
 
+/*
+ * Password reset. The code (and, by email, a link) goes to whichever of
+ * email or phone is given. The answer is always the same and the code is
+ * sent in the background, so neither the response nor its timing says
+ * whether the address has an account.
+ */
+app.post("/forgot-password", rateLimit("send_code", "reset requests"), async (req, res) => {
+  const destination = targetOf(req.body);
+  const channel = req.body.email ? "email" : "sms";
+
+  if (!destination) {
+    return res.status(400).json({
+      error: channel === "sms" ? "Enter a valid Kenyan phone number" : "Enter your email or phone number"
+    });
+  }
+
+  let lookup = supabase.from("users").select("id, locale, is_active");
+  lookup = channel === "email"
+    ? withEmail(lookup, destination)
+    : lookup.eq("phone", destination).eq("phone_verified", true);
+
+  lookup
+    .maybeSingle()
+    .then(({ data: user }) => user?.is_active &&
+      sendCode({ channel, destination, purpose: "reset", user_id: user.id, locale: user.locale }))
+    .catch(err => {
+      // A second request inside the resend window is dropped quietly
+      if (!(err instanceof RangeError)) console.error("Could not send reset code:", err.message);
+    });
 
-app.post("/reset-password", async (req, res) => {
-  const { email, code, password } = req.body;
+  res.json({ success: true });
+});
 
-  const { data } = await supabase.from("users").select("*").eq("email", email).single();
+// Takes the emailed link's token, or the email/phone and typed code. Every
+// session on the account is ended, so a stolen login doesn't outlive the
+// reset.
+app.post("/reset-password", rateLimit("check_code", "attempts"), async (req, res) => {
+  const { token, code, password } = req.body;
 
- if (!data || data.reset_code !== code || new Date() > new Date(data.reset_code_expires)) {
-  return res.status(400).json({ error: "Invalid or expired code" });
-}
+  if (!password) {
+    return res.status(400).json({ error: "Enter a new password" });
+  }
 
+  try {
+    const destination = token ? null : targetOf(req.body);
+    const reset = token
+      ? await consumeToken(token, ["reset"])
+      : destination && await consumeCode({ destination, purpose: "reset", code });
+
+    if (!reset) {
+      return res.status(400).json({ error: "Invalid or expired code" });
+    }
 
-  const hash = await bcrypt.hash(password, 10);
+    const { error } = await supabase.from("users").update({
+      password_hash: await bcrypt.hash(password, 10)
+    }).eq("id", reset.user_id);
 
-  await supabase.from("users").update({
-    password_hash: hash,
-    reset_code: null,
-    reset_code_expires: null
-  }).eq("email", email);
+    if (error) return res.status(500).json({ error: error.message });
 
-  res.json({ success: true });
+    await revokeAllSessions(reset.user_id);
+
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* =========================
+   ACCOUNT: EMAIL AND PHONE
+   Either can be added to an account that signed up with the other; each
+   is confirmed with a code (or, for email, a link) sent to it before it
+   is saved.
+========================= */
+app.get('/account', requireAuth, async (req, res) => {
+  const { data, error } = await supabase
+    .from('users')
+    .select('id, username, email, email_verified, phone, phone_verified, locale, role, created_at')
+    .eq('id', req.user.id)
+    .single();
+
+  if (error) return res.status(500).json({ error: error.message });
+  res.json(data);
+});
+
+app.post('/account/phone', requireAuth, rateLimit('send_code', 'code requests'), async (req, res) => {
+  const phone = normalisePhone(req.body.phone);
+
+  if (!phone) {
+    return res.status(400).json({ error: 'Enter a valid Kenyan phone number' });
+  }
+
+  try {
+    const { data: holder } = await supabase
+      .from('users')
+      .select('id')
+      .eq('phone', phone)
+      .maybeSingle();
+
+    if (holder && holder.id !== req.user.id) {
+      return res.status(409).json({ error: 'That number is linked to another account' });
+    }
+
+    await sendCode({ channel: 'sms', destination: phone, purpose: 'link_phone', user_id: req.user.id });
+    res.json({ success: true, phone });
+  } catch (err) {
+    if (err instanceof RangeError) return res.status(429).json({ error: err.message });
+    res.status(502).json({ error: 'Could not send the code, please try again' });
+  }
+});
+
+app.post('/account/phone/verify', requireAuth, rateLimit('check_code', 'attempts'), async (req, res) => {
+  const phone = normalisePhone(req.body.phone);
+
+  try {
+    const link = phone && await consumeCode({ destination: phone, purpose: 'link_phone', code: req.body.code });
+    if (!link || link.user_id !== req.user.id) {
+      return res.status(400).json({ error: 'Invalid or expired code' });
+    }
+
+    const { error } = await supabase
+      .from('users')
+      .update({ phone, phone_verified: true })
+      .eq('id', req.user.id);
+
+    if (error) {
+      if (error.message.includes('users_phone_key')) {
+        return res.status(409).json({ error: 'That number is linked to another account' });
+      }
+      return res.status(500).json({ error: error.message });
+    }
+
+    res.json({ success: true, phone });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.post('/account/email', requireAuth, rateLimit('send_code', 'code requests'), async (req, res) => {
+  const email = targetOf({ email: req.body.email }) || '';
+
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return res.status(400).json({ error: 'Enter a valid email address' });
+  }
+
+  try {
+    const { data: holder } = await withEmail(supabase.from('users').select('id'), email)
+      .maybeSingle();
+
+    if (holder && holder.id !== req.user.id) {
+      return res.status(409).json({ error: 'That email is linked to another account' });
+    }
+
+    const { data: user } = await supabase.from('users').select('locale').eq('id', req.user.id).single();
+
+    await sendCode({ channel: 'email', destination: email, purpose: 'link_email', user_id: req.user.id, locale: user?.locale });
+    res.json({ success: true, email });
+  } catch (err) {
+    if (err instanceof RangeError) return res.status(429).json({ error: err.message });
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.post('/account/email/verify', requireAuth, rateLimit('check_code', 'attempts'), async (req, res) => {
+  const email = targetOf({ email: req.body.email });
+
+  try {
+    const link = email && await consumeCode({ destination: email, purpose: 'link_email', code: req.body.code });
+    if (!link || link.user_id !== req.user.id) {
+      return res.status(400).json({ error: 'Invalid or expired code' });
+    }
+
+    const error = await confirmEmail({ ...link, purpose: 'link_email' }, email);
+    if (error) return res.status(409).json({ error });
+
+    res.json({ success: true, email });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
 });
 
-app.post('/apply-politician', async (req, res) => {
+app.post('/apply-politician', authorize('application:create'), async (req, res) => {
+  const user_id = req.user.id;
   const {
-    user_id,
     full_name,
     seat,
     county,
     constituency,
+    ward,
     party,
     motivation,
-    fee
+    mpesa_code
   } = req.body;
 
-  if (!user_id || !full_name || !seat || !motivation || !fee) {
+  if (!full_name || !seat || !motivation) {
   return res.status(400).json({ error: "Missing required fields" });
 }
 
-if (seat !== "President" && !county) {
-  return res.status(400).json({ error: "County is required for this seat" });
-}
+  // The fee is always derived from the seat, never taken from the client
+  const fee = feeForSeat(seat);
+  if (!fee) {
+    return res.status(400).json({ error: "Invalid seat" });
+  }
+
+  const receipt = mpesa_code ? normaliseReceipt(mpesa_code) : null;
+  if (mpesa_code && !receipt) {
+    return res.status(400).json({ error: "Invalid M-Pesa transaction code" });
+  }
 
+  const location = validateSeatGeography(seat, { county, constituency, ward });
+  if (location.error) {
+    return res.status(400).json({ error: location.error });
+  }
 
   try {
+    // The name, party and motivation become the public profile on approval
+    const text = [full_name, party, motivation].filter(Boolean).join('\n');
+    const verdict = await moderate(text, { user_id, target_type: 'politician_application' });
+
+    if (verdict.action === 'reject') {
+      return res.status(400).json({ error: 'Application violates community rules' });
+    }
+
     // Prevent duplicate application
     const { data: existing } = await supabase
       .from('politician_applications')
@@ -283,33 +911,51 @@ if (seat !== "President" && !county) {
       });
     }
 
-    const { error } = await supabase
+    const { data: application, error } = await supabase
       .from('politician_applications')
       .insert([{
         user_id,
         full_name,
         seat,
-        county,
-        constituency,
+        ...location,
         party,
         motivation,
         fee,
-        status: 'pending'
-      }]);
+        mpesa_code: receipt,
+        payment_status: 'unpaid',
+        status: 'awaiting_payment',
+        moderation_status: visibilityFor(verdict)
+      }])
+      .select('id, fee, mpesa_code, status')
+      .single();
 
     if (error) {
       return res.status(500).json({ error: error.message });
     }
 
+    if (verdict.action === 'hold') {
+      await enqueueForReview({ target_type: 'politician_application', target_id: application.id, user_id, content: text, verdict });
+    }
+
+    const payment = await settleApplication(application);
+
     res.json({
-      message: "Application submitted. Please wait for admin approval."
+      application_id: application.id,
+      fee,
+      payment_status: payment,
+      reference: applicationReference(application.id),
+      message: payment === "paid"
+        ? "Application submitted. Please wait for admin approval."
+        : payment === "mismatch"
+          ? "That payment was not made from your verified phone number or with your application reference. Pay from your verified number, or quote the reference, and send the new code."
+          : "Application saved. It will be reviewed once your M-Pesa payment is confirmed."
     });
 
   } catch (err) {
     res.status(500).json({ error: "Server error" });
   }
 });
-app.get("/admin/applications", async (req, res) => {
+app.get("/admin/applications", authorize("applications:read"), async (req, res) => {
   const { data, error } = await supabase
     .from("politician_applications")
     .select(`
@@ -317,9 +963,15 @@ app.get("/admin/applications", async (req, res) => {
       full_name,
       seat,
       county,
+      constituency,
+      ward,
       party,
       fee,
+      mpesa_code,
+      payment_status,
+      paid_at,
       status,
+      moderation_status,
       user_id,
       users(email, username)
     `)
@@ -329,12 +981,8 @@ app.get("/admin/applications", async (req, res) => {
   res.json(data);
 });
 
-app.post('/admin/approve-politician', async (req, res) => {
-  const { application_id, admin_id } = req.body;
-
-  if (!await requireAdmin(admin_id)) {
-    return res.status(403).json({ error: "Admin only" });
-  }
+app.post('/admin/approve-politician', authorize('applications:review'), async (req, res) => {
+  const { application_id } = req.body;
 
   const { data: appData } = await supabase
     .from('politician_applications')
@@ -346,6 +994,14 @@ app.post('/admin/approve-politician', async (req, res) => {
     return res.status(400).json({ error: "Invalid application" });
   }
 
+  if (appData.moderation_status !== 'visible') {
+    return res.status(409).json({
+      error: appData.moderation_status === 'held'
+        ? "This application is waiting for moderator review"
+        : "This application was removed by moderators"
+    });
+  }
+
   await supabase.from('users')
     .update({ role: 'politician' })
     .eq('id', appData.user_id);
@@ -355,7 +1011,11 @@ app.post('/admin/approve-politician', async (req, res) => {
     full_name: appData.full_name,
     seat: appData.seat,
     county: appData.county,
+    county_code: appData.county_code,
     constituency: appData.constituency,
+    constituency_code: appData.constituency_code,
+    ward: appData.ward,
+    ward_code: appData.ward_code,
     party: appData.party,
     bio: appData.motivation,
     is_verified: true
@@ -367,12 +1027,8 @@ app.post('/admin/approve-politician', async (req, res) => {
 
   res.json({ message: "Approved" });
 });
-app.post('/admin/reject-politician', async (req, res) => {
-  const { application_id, admin_id } = req.body;
-
-  if (!await requireAdmin(admin_id)) {
-    return res.status(403).json({ error: "Admin only" });
-  }
+app.post('/admin/reject-politician', authorize('applications:review'), async (req, res) => {
+  const { application_id } = req.body;
 
   await supabase
     .from('politician_applications')
@@ -381,6 +1037,426 @@ app.post('/admin/reject-politician', async (req, res) => {
 
   res.json({ message: "Rejected" });
 });
+/* =========================
+   APPLICATION PAYMENTS (M-PESA)
+========================= */
+const ownApplication = {
+  owner: req => owners.politicianApplication(req.body.application_id)
+};
+
+// ATTACH (OR CORRECT) THE M-PESA CODE ON AN UNPAID APPLICATION
+app.post('/payments/claim', authorize('application:create', ownApplication), async (req, res) => {
+  const { application_id, mpesa_code } = req.body;
+
+  const receipt = normaliseReceipt(mpesa_code);
+  if (!receipt) {
+    return res.status(400).json({ error: "Invalid M-Pesa transaction code" });
+  }
+
+  try {
+    const { data: application } = await supabase
+      .from('politician_applications')
+      .update({ mpesa_code: receipt })
+      .eq('id', application_id)
+      .eq('status', 'awaiting_payment')
+      .select('id, fee, mpesa_code, status')
+      .single();
+
+    if (!application) {
+      return res.status(400).json({ error: "This application is not awaiting payment" });
+    }
+
+    res.json({ payment_status: await settleApplication(application) });
+  } catch (err) {
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// PROMPT THE APPLICANT'S PHONE TO PAY (STK PUSH)
+app.post('/payments/stk-push', authorize('application:create', ownApplication), async (req, res) => {
+  const { application_id, phone } = req.body;
+
+  const msisdn = normaliseMsisdn(phone);
+  if (!msisdn) {
+    return res.status(400).json({ error: "Enter a valid Safaricom number" });
+  }
+
+  const { data: application } = await supabase
+    .from('politician_applications')
+    .select('id, fee, status')
+    .eq('id', application_id)
+    .single();
+
+  if (!application || application.status !== 'awaiting_payment') {
+    return res.status(400).json({ error: "This application is not awaiting payment" });
+  }
+
+  try {
+    const request = await requestStkPush({
+      phone: msisdn,
+      amount: application.fee,
+      reference: applicationReference(application.id),
+      description: "Candidate application fee"
+    });
+
+    await supabase.from('payment_requests').insert([{
+      application_id,
+      phone: msisdn,
+      amount: application.fee,
+      status: 'sent',
+      ...request
+    }]);
+
+    res.json({ message: "Check your phone to complete the payment" });
+  } catch (err) {
+    res.status(502).json({ error: err.message });
+  }
+});
+
+// DARAJA STK PUSH RESULT
+app.post('/payments/mpesa/stk-callback', async (req, res) => {
+  if (!isTrustedCallback(req)) {
+    return res.status(403).json({ error: "Forbidden" });
+  }
+
+  const callback = req.body?.Body?.stkCallback;
+  if (!callback) {
+    return res.status(400).json({ error: "Malformed callback" });
+  }
+
+  try {
+    const { data: request } = await supabase
+      .from('payment_requests')
+      .select('id, application_id')
+      .eq('checkout_request_id', callback.CheckoutRequestID)
+      .single();
+
+    if (!request) {
+      return res.json({ ResultCode: 0, ResultDesc: "Accepted" });
+    }
+
+    if (callback.ResultCode !== 0) {
+      await supabase.from('payment_requests')
+        .update({ status: 'failed', result_desc: callback.ResultDesc })
+        .eq('id', request.id);
+
+      return res.json({ ResultCode: 0, ResultDesc: "Accepted" });
+    }
+
+    const { receipt, amount, phone } = parseStkMetadata(callback.CallbackMetadata?.Item);
+
+    await recordTransaction({
+      receipt,
+      amount,
+      phone,
+      account_ref: request.application_id,
+      source: 'stk',
+      raw: callback
+    });
+
+    await supabase.from('payment_requests')
+      .update({ status: 'completed', result_desc: callback.ResultDesc, mpesa_receipt: receipt })
+      .eq('id', request.id);
+
+    const { data: application } = await supabase
+      .from('politician_applications')
+      .update({ mpesa_code: receipt })
+      .eq('id', request.application_id)
+      .eq('status', 'awaiting_payment')
+      .select('id, fee, mpesa_code, status')
+      .single();
+
+    if (application) await settleApplication(application);
+
+    res.json({ ResultCode: 0, ResultDesc: "Accepted" });
+  } catch (err) {
+    res.status(500).json({ ResultCode: 1, ResultDesc: "Server error" });
+  }
+});
+
+// DARAJA C2B VALIDATION (PAYMENTS STRAIGHT TO THE TILL)
+app.post('/payments/mpesa/c2b/validation', (req, res) => {
+  if (!isTrustedCallback(req)) {
+    return res.status(403).json({ error: "Forbidden" });
+  }
+
+  res.json({ ResultCode: 0, ResultDesc: "Accepted" });
+});
+
+// DARAJA C2B CONFIRMATION
+app.post('/payments/mpesa/c2b/confirmation', async (req, res) => {
+  if (!isTrustedCallback(req)) {
+    return res.status(403).json({ error: "Forbidden" });
+  }
+
+  const { TransID, TransAmount, MSISDN, BillRefNumber } = req.body || {};
+  const receipt = normaliseReceipt(TransID);
+
+  if (!receipt) {
+    return res.status(400).json({ ResultCode: 1, ResultDesc: "Malformed confirmation" });
+  }
+
+  try {
+    await recordTransaction({
+      receipt,
+      amount: Number(TransAmount),
+      phone: MSISDN ? String(MSISDN) : null,
+      account_ref: BillRefNumber || null,
+      source: 'c2b',
+      raw: req.body
+    });
+
+    // Applicants may have typed this code in before Daraja reported it
+    await settleByReceipt(receipt);
+
+    res.json({ ResultCode: 0, ResultDesc: "Accepted" });
+  } catch (err) {
+    res.status(500).json({ ResultCode: 1, ResultDesc: "Server error" });
+  }
+});
+
+/* =========================
+   MODERATION REVIEW QUEUE
+========================= */
+app.get("/admin/moderation/queue", authorize("content:moderate"), async (req, res) => {
+  const status = req.query.status || "pending";
+
+  const { data, error } = await supabase
+    .from("moderation_queue")
+    .select(`
+      id,
+      target_type,
+      target_id,
+      content,
+      score,
+      reasons,
+      status,
+      created_at,
+      reviewed_at,
+      users!moderation_queue_user_id_fkey(username, email)
+    `)
+    .eq("status", status)
+    .order("created_at", { ascending: true });
+
+  if (error) return res.status(500).json({ error: error.message });
+  res.json(data);
+});
+
+app.post("/admin/moderation/queue/:id/:decision", authorize("content:moderate"), async (req, res) => {
+  const { id, decision } = req.params;
+
+  if (!["release", "remove"].includes(decision)) {
+    return res.status(400).json({ error: "Decision must be release or remove" });
+  }
+
+  try {
+    const resolved = await resolveReview(id, decision, req.user.id);
+
+    if (!resolved) {
+      return res.status(404).json({ error: "Item not found or already reviewed" });
+    }
+
+    // Held reports didn't count towards escalations until now
+    if (decision === "release" && resolved.target_type === "ground_update") {
+      const { data: update } = await supabase
+        .from("ground_updates")
+        .select("id, category, county_code, constituency_code, ward_code")
+        .eq("id", resolved.target_id)
+        .single();
+
+      if (update) {
+        evaluateEscalations(update)
+          .catch(err => console.error("Escalation check failed:", err.message));
+      }
+    }
+
+    res.json({ message: decision === "release" ? "Released" : "Removed" });
+  } catch (err) {
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* =========================
+   USER REPORTS
+========================= */
+app.post('/reports', authorize('report:create'), async (req, res) => {
+  const { target_type, target_id, reason, details } = req.body;
+
+  if (!REPORT_TARGETS[target_type]) {
+    return res.status(400).json({ error: 'Invalid target type' });
+  }
+
+  if (!REPORT_REASONS.includes(reason)) {
+    return res.status(400).json({ error: 'Invalid reason' });
+  }
+
+  try {
+    const owner_id = await targetOwner(target_type, target_id);
+    if (!owner_id) {
+      return res.status(404).json({ error: 'Reported content not found' });
+    }
+
+    const { error } = await supabase.from('reports').insert([{
+      reporter_id: req.user.id,
+      target_type,
+      target_id,
+      target_owner_id: owner_id,
+      reason,
+      details: details ? String(details).slice(0, 1000) : null,
+      status: 'open'
+    }]);
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'You have already reported this' });
+      }
+      return res.status(500).json({ error: error.message });
+    }
+
+    res.json({ message: 'Thanks, a moderator will review this report' });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.get("/admin/reports", authorize("reports:manage"), async (req, res) => {
+  const { status, target_type, reason } = req.query;
+
+  let query = supabase
+    .from("reports")
+    .select(`
+      id,
+      target_type,
+      target_id,
+      target_owner_id,
+      reason,
+      details,
+      status,
+      priority,
+      assigned_to,
+      resolution,
+      created_at,
+      resolved_at,
+      reporter:users!reports_reporter_id_fkey(username)
+    `)
+    .order("priority", { ascending: false })
+    .order("created_at", { ascending: true });
+
+  if (!status) query = query.in("status", ["open", "triaged"]);
+  else if (status !== "all") query = query.eq("status", status);
+  if (target_type) query = query.eq("target_type", target_type);
+  if (reason) query = query.eq("reason", reason);
+
+  const { data, error } = await query;
+
+  if (error) return res.status(500).json({ error: error.message });
+  res.json(data);
+});
+
+// ONE REPORT WITH THE REPORTED CONTENT AND ITS FULL DECISION HISTORY
+app.get("/admin/reports/:id", authorize("reports:manage"), async (req, res) => {
+  const { data: report, error } = await supabase
+    .from("reports")
+    .select("*")
+    .eq("id", req.params.id)
+    .single();
+
+  if (error || !report) return res.status(404).json({ error: "Report not found" });
+
+  const { data: target } = await supabase
+    .from(REPORT_TARGETS[report.target_type].table)
+    .select("*")
+    .eq("id", report.target_id)
+    .single();
+
+  const { count: related } = await supabase
+    .from("reports")
+    .select("*", { count: "exact", head: true })
+    .eq("target_type", report.target_type)
+    .eq("target_id", report.target_id);
+
+  const { data: history } = await supabase
+    .from("report_actions")
+    .select("action, note, created_at, actor:users(username, role)")
+    .eq("report_id", report.id)
+    .order("created_at", { ascending: true });
+
+  res.json({ report, target, related_reports: related, history });
+});
+
+app.post("/admin/reports/:id/triage", authorize("reports:manage"), async (req, res) => {
+  const { priority = 0, assigned_to = null, note } = req.body;
+
+  const { data: report } = await supabase
+    .from("reports")
+    .update({ status: "triaged", priority, assigned_to })
+    .eq("id", req.params.id)
+    .in("status", ["open", "triaged"])
+    .select("id")
+    .single();
+
+  if (!report) return res.status(404).json({ error: "Report not found or already resolved" });
+
+  await recordAction(report.id, req.user.id, "triage", note || `priority ${priority}`);
+  res.json({ message: "Report triaged" });
+});
+
+// RESOLVE A REPORT. THE DECISION APPLIES TO EVERY OPEN REPORT ON THE SAME TARGET.
+app.post("/admin/reports/:id/resolve", authorize("reports:manage"), async (req, res) => {
+  const { action, note } = req.body;
+
+  if (!RESOLUTIONS.includes(action)) {
+    return res.status(400).json({ error: "Invalid action" });
+  }
+
+  if (action === "suspend_user" && !can(req.user, "users:suspend")) {
+    return res.status(403).json({ error: "Only admins can suspend accounts" });
+  }
+
+  try {
+    const { data: report } = await supabase
+      .from("reports")
+      .select("id, target_type, target_id, target_owner_id, status")
+      .eq("id", req.params.id)
+      .single();
+
+    if (!report || ["resolved", "dismissed"].includes(report.status)) {
+      return res.status(404).json({ error: "Report not found or already resolved" });
+    }
+
+    if (action === "hide_content") {
+      await hideContent(report.target_type, report.target_id);
+    }
+    if (action === "warn_user") {
+      await warnUser(report.target_owner_id, req.user.id, report.id, note);
+    }
+    if (action === "suspend_user") {
+      await suspendUser(report.target_owner_id);
+    }
+
+    const { data: closed } = await supabase
+      .from("reports")
+      .update({
+        status: action === "dismiss" ? "dismissed" : "resolved",
+        resolution: action,
+        resolved_by: req.user.id,
+        resolved_at: new Date()
+      })
+      .eq("target_type", report.target_type)
+      .eq("target_id", report.target_id)
+      .in("status", ["open", "triaged"])
+      .select("id");
+
+    for (const r of closed || []) {
+      await recordAction(r.id, req.user.id, action, note);
+    }
+
+    res.json({ message: "Report resolved", reports_closed: closed?.length || 0 });
+  } catch (err) {
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
 // GET ALL POLITICIAN APPLICATIONS (PUBLIC VIEW)
 app.get("/politicians/all", async (req, res) => {
   const { data: apps, error } = await supabase
@@ -427,25 +1503,59 @@ app.get("/politicians/all", async (req, res) => {
 
 
  
-app.post('/politician/add-achievement', async (req, res) => {
-  const { user_id, title, description } = req.body;
+app.post('/politician/add-achievement', authorize('achievement:create'), async (req, res) => {
+  const user_id = req.user.id;
+  const { title, description } = req.body;
 
-  const { data: profile } = await supabase
-    .from('politician_profiles')
-    .select('id')
-    .eq('user_id', user_id)
-    .single();
+  if (!title) {
+    return res.status(400).json({ error: 'Title is required' });
+  }
 
-  await supabase.from('achievements').insert({
-    politician_id: profile.id,
-    title,
-    description
-  });
+  try {
+    const { data: profile } = await supabase
+      .from('politician_profiles')
+      .select('id')
+      .eq('user_id', user_id)
+      .single();
+
+    if (!profile) {
+      return res.status(404).json({ error: 'Politician profile not found' });
+    }
+
+    const content = [title, description].filter(Boolean).join('\n');
+    const verdict = await moderate(content, { user_id, target_type: 'achievement' });
+
+    if (verdict.action === 'reject') {
+      return res.status(400).json({ error: 'Achievement violates community rules' });
+    }
+
+    const { data: achievement, error } = await supabase
+      .from('achievements')
+      .insert({
+        politician_id: profile.id,
+        title,
+        description,
+        moderation_status: visibilityFor(verdict)
+      })
+      .select('id')
+      .single();
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    if (verdict.action === 'hold') {
+      await enqueueForReview({ target_type: 'achievement', target_id: achievement.id, user_id, content, verdict });
+      return res.json({ message: 'Achievement submitted for review' });
+    }
 
-  res.json({ message: "Achievement added" });
+    res.json({ message: "Achievement added" });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
 });
 
-app.get("/admin/users", async (req, res) => {
+app.get("/admin/users", authorize("users:read"), async (req, res) => {
   const { data, error } = await supabase
     .from("users")
     .select("id, username, email, role, status")
@@ -454,10 +1564,10 @@ app.get("/admin/users", async (req, res) => {
   if (error) return res.status(500).json({ error: error.message });
   res.json(data);
 });
-app.get("/admin/user/:id", async (req, res) => {
+app.get("/admin/user/:id", authorize("users:read"), async (req, res) => {
   const { data, error } = await supabase
     .from("users")
-    .select("*")
+    .select("id, username, email, role, status, is_active, email_verified, created_at")
     .eq("id", req.params.id)
     .single();
 
@@ -466,38 +1576,20 @@ app.get("/admin/user/:id", async (req, res) => {
 });
 
 // CREATE MANIFESTO (POLITICIAN ONLY)
-app.post('/manifesto', async (req, res) => {
-  const { user_id, category, content } = req.body;
-
-  const allowedCategories = [
-    'Youth & Jobs',
-    'Education',
-    'Health',
-    'Economy',
-    'Governance'
-  ];
-
-  if (!user_id || !category || !content) {
+app.post('/manifesto', authorize('manifesto:create'), async (req, res) => {
+  const user_id = req.user.id;
+  const { category, content } = req.body;
+
+  if (!category || !content) {
     return res.status(400).json({ error: 'All fields are required' });
   }
 
-  if (!allowedCategories.includes(category)) {
+  if (!MANIFESTO_CATEGORIES.includes(category)) {
     return res.status(400).json({ error: 'Invalid manifesto category' });
   }
 
   try {
-    // 1. Confirm user is a politician
-    const { data: user } = await supabase
-      .from('users')
-      .select('role')
-      .eq('id', user_id)
-      .single();
-
-    if (!user || user.role !== 'politician') {
-      return res.status(403).json({ error: 'Only politicians can post manifestos' });
-    }
-
-    // 2. Get politician profile
+    // 1. Get politician profile
     const { data: profile } = await supabase
       .from('politician_profiles')
       .select('id')
@@ -508,352 +1600,1859 @@ app.post('/manifesto', async (req, res) => {
       return res.status(404).json({ error: 'Politician profile not found' });
     }
 
+    // 2. Screen content
+    const verdict = await moderate(content, { user_id, target_type: 'manifesto' });
+
+    if (verdict.action === 'reject') {
+      return res.status(400).json({ error: 'Manifesto violates community rules' });
+    }
+
     // 3. Insert manifesto
-    const { error } = await supabase
+    const { data: manifesto, error } = await supabase
       .from('manifestos')
       .insert([
         {
           politician_id: profile.id,
           category,
-          content
+          content,
+          edited_by: user_id,
+          moderation_status: visibilityFor(verdict)
         }
-      ]);
+      ])
+      .select('id')
+      .single();
 
     if (error) {
       return res.status(500).json({ error: error.message });
     }
 
+    if (verdict.action === 'hold') {
+      await enqueueForReview({ target_type: 'manifesto', target_id: manifesto.id, user_id, content, verdict });
+      return res.json({ message: 'Manifesto submitted for review' });
+    }
+
     res.json({ message: 'Manifesto posted successfully' });
 
   } catch (err) {
     res.status(500).json({ error: 'Server error' });
   }
 });
-// GET ALL MANIFESTOS (PUBLIC)
-app.get('/manifestos', async (req, res) => {
+
+// EDIT A MANIFESTO (OWNING POLITICIAN ONLY). The previous wording stays in
+// the public history. Manifestos held or removed by moderation stay as the
+// moderators left them.
+app.patch('/manifestos/:id', authorize('manifesto:create', {
+  owner: req => owners.manifesto(req.params.id),
+  allowAdmin: false
+}), async (req, res) => {
+  const user_id = req.user.id;
+
   try {
-    const { data, error } = await supabase
+    const { data: current } = await supabase
       .from('manifestos')
-      .select(`
-        id,
-        category,
-        content,
-        created_at,
-        politician_profiles (
-          full_name,
-          seat,
-          county,
-          constituency,
-          party
-        )
-      `)
-      .order('created_at', { ascending: false });
+      .select('id, category, content, moderation_status')
+      .eq('id', req.params.id)
+      .single();
+
+    if (current.moderation_status !== 'visible') {
+      return res.status(409).json({
+        error: current.moderation_status === 'held'
+          ? 'This manifesto is waiting for moderator review and cannot be edited yet'
+          : 'This manifesto was removed by moderators and cannot be edited'
+      });
+    }
+
+    const category = req.body.category ?? current.category;
+    const content = String(req.body.content ?? current.content).trim();
+
+    if (!content) {
+      return res.status(400).json({ error: 'Content is required' });
+    }
+
+    if (!MANIFESTO_CATEGORIES.includes(category)) {
+      return res.status(400).json({ error: 'Invalid manifesto category' });
+    }
+
+    if (category === current.category && content === current.content) {
+      return res.status(400).json({ error: 'Nothing to change' });
+    }
+
+    const verdict = await moderate(content, { user_id, target_type: 'manifesto' });
+
+    if (verdict.action === 'reject') {
+      return res.status(400).json({ error: 'Manifesto violates community rules' });
+    }
+
+    const { data: manifesto, error } = await supabase
+      .from('manifestos')
+      .update({
+        category,
+        content,
+        edited_at: new Date(),
+        edited_by: user_id,
+        moderation_status: visibilityFor(verdict)
+      })
+      .eq('id', current.id)
+      .eq('moderation_status', 'visible')
+      .select('id')
+      .maybeSingle();
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    // A moderator acted between the read and the write
+    if (!manifesto) {
+      return res.status(409).json({ error: 'This manifesto is under moderation and cannot be edited' });
+    }
+
+    if (verdict.action === 'hold') {
+      await enqueueForReview({ target_type: 'manifesto', target_id: manifesto.id, user_id, content, verdict });
+      return res.json({ message: 'Edit submitted for review' });
+    }
+
+    res.json({ message: 'Manifesto updated' });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// WITHDRAW A MANIFESTO (OWNING POLITICIAN ONLY). It leaves the listings but
+// its history stays public.
+app.delete('/manifestos/:id', authorize('manifesto:create', {
+  owner: req => owners.manifesto(req.params.id),
+  allowAdmin: false
+}), async (req, res) => {
+  const { error } = await supabase
+    .from('manifestos')
+    .update({ deleted_at: new Date(), edited_by: req.user.id })
+    .eq('id', req.params.id)
+    .is('deleted_at', null);
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  res.json({ message: 'Manifesto withdrawn' });
+});
+
+// MANIFESTO HISTORY (PUBLIC): every revision, oldest first, with a word diff
+// against the one before. Withdrawn manifestos keep their history; ones
+// removed by moderators don't.
+app.get('/manifestos/:id/history', async (req, res) => {
+  const { data: manifesto, error } = await supabase
+    .from('manifestos')
+    .select(`
+      id,
+      category,
+      created_at,
+      edited_at,
+      deleted_at,
+      politician_profiles (
+        id,
+        full_name,
+        seat,
+        party
+      )
+    `)
+    .eq('id', req.params.id)
+    .eq('moderation_status', 'visible')
+    .single();
+
+  if (error || !manifesto) {
+    return res.status(404).json({ error: 'Manifesto not found' });
+  }
+
+  const { data: revisions, error: historyError } = await supabase
+    .from('manifesto_revisions')
+    .select('revision, action, category, content, created_at')
+    .eq('manifesto_id', manifesto.id)
+    .order('revision', { ascending: true });
+
+  if (historyError) {
+    return res.status(500).json({ error: historyError.message });
+  }
+
+  res.json({ manifesto, revisions: withDiffs(revisions) });
+});
+// GET ALL MANIFESTOS (PUBLIC)
+app.get('/manifestos', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('manifestos')
+      .select(`
+        id,
+        category,
+        content,
+        created_at,
+        edited_at,
+        politician_profiles (
+          full_name,
+          seat,
+          county,
+          constituency,
+          party
+        )
+      `)
+      .eq('moderation_status', 'visible')
+      .is('deleted_at', null)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    res.json(data);
+
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/* =========================
+   PROMISES
+========================= */
+
+// MAKE A PROMISE (POLITICIAN ONLY). Promises can't be edited or deleted,
+// only moved along their status lifecycle.
+app.post('/promises', authorize('promise:create'), async (req, res) => {
+  const user_id = req.user.id;
+  const { category, manifesto_id } = req.body;
+  const content = String(req.body.content || '').trim();
+  const outcome = String(req.body.outcome || '').trim();
+  const target_date = new Date(req.body.target_date);
+
+  if (!content || !outcome || !category || !req.body.target_date) {
+    return res.status(400).json({ error: 'content, outcome, category and target_date are required' });
+  }
+
+  if (!MANIFESTO_CATEGORIES.includes(category)) {
+    return res.status(400).json({ error: 'Invalid promise category' });
+  }
+
+  if (isNaN(target_date) || target_date < new Date()) {
+    return res.status(400).json({ error: 'target_date must be a date in the future' });
+  }
+
+  try {
+    const { data: profile } = await supabase
+      .from('politician_profiles')
+      .select('id')
+      .eq('user_id', user_id)
+      .single();
+
+    if (!profile) {
+      return res.status(404).json({ error: 'Politician profile not found' });
+    }
+
+    if (manifesto_id) {
+      const { data: manifesto } = await supabase
+        .from('manifestos')
+        .select('id')
+        .eq('id', manifesto_id)
+        .eq('politician_id', profile.id)
+        .is('deleted_at', null)
+        .maybeSingle();
+
+      if (!manifesto) {
+        return res.status(400).json({ error: 'Link the promise to one of your own manifestos' });
+      }
+    }
+
+    const verdict = await moderate(`${content}\n${outcome}`, { user_id, target_type: 'promise' });
+
+    if (verdict.action === 'reject') {
+      return res.status(400).json({ error: 'Promise violates community rules' });
+    }
+
+    const { data: promise, error } = await supabase
+      .from('promises')
+      .insert([{
+        politician_id: profile.id,
+        manifesto_id: manifesto_id || null,
+        content,
+        outcome,
+        category,
+        target_date: target_date.toISOString().slice(0, 10),
+        status: 'pledged',
+        moderation_status: visibilityFor(verdict)
+      }])
+      .select('id')
+      .single();
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    await supabase.from('promise_status_changes').insert([{
+      promise_id: promise.id,
+      from_status: null,
+      to_status: 'pledged',
+      actor_id: user_id
+    }]);
+
+    if (verdict.action === 'hold') {
+      await enqueueForReview({ target_type: 'promise', target_id: promise.id, user_id, content, verdict });
+      return res.json({ id: promise.id, message: 'Promise submitted for review' });
+    }
+
+    res.json({ id: promise.id, message: 'Promise recorded' });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// MOVE A PROMISE ALONG ITS LIFECYCLE. The politician can report progress
+// and fulfilment; only admins can mark it broken or reopen it.
+app.post('/promises/:id/status', authorize('promise:create', {
+  owner: req => owners.promise(req.params.id)
+}), async (req, res) => {
+  const { status, note } = req.body;
+
+  if (!PROMISE_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${PROMISE_STATUSES.join(', ')}` });
+  }
+
+  try {
+    const { data: promise } = await supabase
+      .from('promises')
+      .select('id, status')
+      .eq('id', req.params.id)
+      .single();
+
+    if (!promise) {
+      return res.status(404).json({ error: 'Promise not found' });
+    }
+
+    if (!canMoveTo(req.user, promise.status, status)) {
+      return res.status(403).json({ error: `A ${promise.status} promise cannot be marked ${status} by you` });
+    }
+
+    await changeStatus(promise, status, req.user.id, note || null);
+    res.json({ id: promise.id, status });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ATTACH EVIDENCE (CITIZENS AND ADMINS). JSON or multipart with up to
+// MAX_FILES "media" files; `shows` is the status the evidence backs up.
+app.post('/promises/:id/evidence', authorize('promise:evidence'), acceptMedia, async (req, res) => {
+  const user_id = req.user.id;
+  const { shows, url } = req.body;
+  const summary = String(req.body.summary || '').trim();
+
+  if (!summary || !EVIDENCE_SHOWS.includes(shows)) {
+    return res.status(400).json({ error: `summary and shows (${EVIDENCE_SHOWS.join(', ')}) are required` });
+  }
+
+  if (url && !/^https?:\/\//.test(url)) {
+    return res.status(400).json({ error: 'Links must start with http:// or https://' });
+  }
+
+  let media;
+  try {
+    media = await prepareMedia(req.files);
+  } catch (err) {
+    if (err instanceof RangeError) return res.status(400).json({ error: err.message });
+    return res.status(500).json({ error: 'Server error' });
+  }
+
+  try {
+    const { data: promise } = await supabase
+      .from('promises')
+      .select('id')
+      .eq('id', req.params.id)
+      .eq('moderation_status', 'visible')
+      .single();
+
+    if (!promise) {
+      return res.status(404).json({ error: 'Promise not found' });
+    }
+
+    const verdict = await moderate(summary, { user_id, target_type: 'promise_evidence' });
+
+    if (verdict.action === 'reject') {
+      return res.status(400).json({ error: 'Evidence violates community rules' });
+    }
+
+    const { data: evidence, error } = await supabase
+      .from('promise_evidence')
+      .insert([{
+        promise_id: promise.id,
+        user_id,
+        shows,
+        summary,
+        url: url || null,
+        moderation_status: visibilityFor(verdict)
+      }])
+      .select('id')
+      .single();
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    const attached = await attachMedia('promise_evidence', evidence.id, user_id, media);
+
+    if (verdict.action === 'hold') {
+      await enqueueForReview({ target_type: 'promise_evidence', target_id: evidence.id, user_id, content: summary, verdict });
+      return res.json({ id: evidence.id, media: attached, message: 'Evidence submitted for review' });
+    }
+
+    res.json({ id: evidence.id, media: attached, message: 'Evidence added' });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ONE PROMISE WITH ITS EVIDENCE AND STATUS HISTORY (PUBLIC)
+app.get('/promises/:id', async (req, res) => {
+  const { data: promise, error } = await supabase
+    .from('promises')
+    .select(`${PROMISE_FIELDS}, politician_profiles(id, full_name, seat, party)`)
+    .eq('id', req.params.id)
+    .eq('moderation_status', 'visible')
+    .single();
+
+  if (error || !promise) {
+    return res.status(404).json({ error: 'Promise not found' });
+  }
+
+  const [{ data: evidence }, { data: history }] = await Promise.all([
+    supabase
+      .from('promise_evidence')
+      .select('id, shows, summary, url, created_at, users(username, role)')
+      .eq('promise_id', promise.id)
+      .eq('moderation_status', 'visible')
+      .order('created_at', { ascending: true }),
+    supabase
+      .from('promise_status_changes')
+      .select('from_status, to_status, note, created_at, users(username, role)')
+      .eq('promise_id', promise.id)
+      .order('created_at', { ascending: true })
+  ]);
+
+  const media = await mediaFor('promise_evidence', (evidence || []).map(e => e.id));
+
+  res.json({
+    ...promise,
+    overdue: isOverdue(promise),
+    evidence: (evidence || []).map(e => ({ ...e, media: media[e.id] || [] })),
+    history: history || []
+  });
+});
+
+/* =========================
+   COMMENTS
+   One thread per target: manifesto, politician, achievement, promise or
+   ground_update. The /ground-comment paths are kept for older clients.
+========================= */
+const targetTypeError = `target_type must be one of ${Object.keys(COMMENT_TARGETS).join(', ')}`;
+
+// Older ground update clients send ground_id instead of a target
+function groundCommentTarget(req, res, next) {
+  if (req.method === 'GET') {
+    req.query.target_type = 'ground_update';
+    req.query.sort = req.query.sort || 'oldest';
+  } else {
+    req.body.target_type = 'ground_update';
+    req.body.target_id = req.body.ground_id;
+  }
+  next();
+}
+
+// POST A COMMENT OR REPLY
+// target_type defaults to manifesto for older clients. Multipart bodies can
+// carry photos and video like ground updates do.
+async function postComment(req, res) {
+  const user_id = req.user.id;
+  const { target_type = 'manifesto', target_id, parent_id } = req.body;
+  const content = String(req.body.content || '').trim();
+  const keepLocation = String(req.body.keep_location) === 'true';
+
+  if (!target_id || !content) {
+    return res.status(400).json({ error: 'All fields required' });
+  }
+
+  if (!COMMENT_TARGETS[target_type]) {
+    return res.status(400).json({ error: targetTypeError });
+  }
+
+  if (content.length > COMMENT_MAX) {
+    return res.status(400).json({ error: `Comments are limited to ${COMMENT_MAX} characters` });
+  }
+
+  try {
+    if (!(await targetExists(target_type, target_id))) {
+      return res.status(404).json({ error: 'Nothing to comment on with that id' });
+    }
+
+    let thread_id = null;
+    if (parent_id) {
+      thread_id = await threadFor(parent_id, target_type, target_id);
+      if (!thread_id) {
+        return res.status(400).json({ error: 'Invalid parent comment' });
+      }
+    }
+
+    const media = await prepareMedia(req.files, { keepLocation });
+
+    const verdict = await moderate(content, { user_id, target_type: 'comment' });
+
+    if (verdict.action === 'reject') {
+      return res.status(400).json({ error: 'Comment violates community rules' });
+    }
+
+    const { data: comment, error } = await supabase
+      .from('comments')
+      .insert([
+        {
+          user_id,
+          target_type,
+          target_id,
+          parent_id: thread_id,
+          content,
+          moderation_status: visibilityFor(verdict)
+        }
+      ])
+      .select('id')
+      .single();
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    const attached = await attachMedia('comment', comment.id, user_id, media, { keepLocation });
+
+    if (verdict.action === 'hold') {
+      await enqueueForReview({ target_type: 'comment', target_id: comment.id, user_id, content, verdict });
+      return res.json({ id: comment.id, media: attached, message: 'Comment submitted for review' });
+    }
+
+    if (parent_id) {
+      notifyReply(parent_id, req.user, content)
+        .catch(err => console.error('Could not queue reply notification:', err.message));
+    }
+
+    res.json({ id: comment.id, media: attached, message: 'Comment posted successfully' });
+
+  } catch (err) {
+    if (err instanceof RangeError) return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+app.post('/comment', authorize('comment:create'), rateLimit('comment', 'comments'), acceptMedia, postComment);
+app.post('/ground-comment', authorize('comment:create'), rateLimit('comment', 'comments'), acceptMedia, groundCommentTarget, postComment);
+
+// GET COMMENTS ON A TARGET (PUBLIC)
+//   ?target_type=manifesto        default, for older clients
+//   &sort=newest|oldest|top       top-level order; replies are always oldest first
+//   &limit=20&cursor=...
+async function getComments(req, res) {
+  const { target_type = 'manifesto', sort = 'newest', cursor } = req.query;
+
+  if (!COMMENT_TARGETS[target_type]) {
+    return res.status(400).json({ error: targetTypeError });
+  }
+
+  try {
+    res.json(await listComments({
+      target_type,
+      target_id: req.params.target_id,
+      sort,
+      cursor,
+      limit: parseLimit(req.query.limit),
+      viewer: req.user
+    }));
+
+  } catch (err) {
+    if (err instanceof RangeError) return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+app.get('/comments/:target_id', optionalAuth, getComments);
+app.get('/ground-comments/:target_id', optionalAuth, groundCommentTarget, getComments);
+
+// EDIT OWN COMMENT (WITHIN THE EDIT WINDOW). Comments held or removed by
+// moderation stay as the moderators left them.
+app.patch(['/comment/:id', '/ground-comment/:id'], authorize('comment:create', {
+  owner: req => owners.comment(req.params.id),
+  allowAdmin: false
+}), async (req, res) => {
+  const content = String(req.body.content || '').trim();
+
+  if (!content) {
+    return res.status(400).json({ error: 'Content is required' });
+  }
+
+  if (content.length > COMMENT_MAX) {
+    return res.status(400).json({ error: `Comments are limited to ${COMMENT_MAX} characters` });
+  }
+
+  try {
+    const { data: comment } = await supabase
+      .from('comments')
+      .select('created_at, deleted_at, moderation_status')
+      .eq('id', req.params.id)
+      .single();
+
+    if (!canEdit(comment)) {
+      return res.status(403).json({ error: `Comments can only be edited for ${EDIT_WINDOW_MINUTES} minutes after posting` });
+    }
+
+    if (comment.moderation_status !== 'visible') {
+      return res.status(409).json({
+        error: comment.moderation_status === 'held'
+          ? 'This comment is waiting for moderator review and cannot be edited yet'
+          : 'This comment was removed by moderators and cannot be edited'
+      });
+    }
+
+    const verdict = await moderate(content, { user_id: req.user.id, target_type: 'comment' });
+
+    if (verdict.action === 'reject') {
+      return res.status(400).json({ error: 'Comment violates community rules' });
+    }
+
+    const { data: updated, error } = await supabase
+      .from('comments')
+      .update({
+        content,
+        edited_at: new Date(),
+        moderation_status: visibilityFor(verdict)
+      })
+      .eq('id', req.params.id)
+      .eq('moderation_status', 'visible')
+      .select('id')
+      .maybeSingle();
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    // A moderator acted between the read and the write
+    if (!updated) {
+      return res.status(409).json({ error: 'This comment is under moderation and cannot be edited' });
+    }
+
+    if (verdict.action === 'hold') {
+      await enqueueForReview({
+        target_type: 'comment',
+        target_id: req.params.id,
+        user_id: req.user.id,
+        content,
+        verdict
+      });
+      return res.json({ message: 'Edit submitted for review' });
+    }
+
+    res.json({ message: 'Comment updated' });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// DELETE A COMMENT (AUTHOR, OR A MODERATOR)
+app.delete(['/comment/:id', '/ground-comment/:id'], authorize('comment:create'), async (req, res) => {
+  const owner_id = await owners.comment(req.params.id);
+
+  if (!owner_id) {
+    return res.status(404).json({ error: 'Comment not found' });
+  }
+
+  if (owner_id !== req.user.id && !can(req.user, 'content:moderate')) {
+    return res.status(403).json({ error: 'You can only delete your own comments' });
+  }
+
+  const { error } = await supabase
+    .from('comments')
+    .update({ deleted_at: new Date() })
+    .eq('id', req.params.id);
+
+  if (error) return res.status(500).json({ error: error.message });
+  res.json({ message: 'Comment deleted' });
+});
+
+// UP / DOWN VOTE A COMMENT
+// { vote: 1 | -1 }, or 0 to take the vote back. Answers with fresh totals.
+app.post('/comment/:id/vote', authorize('comment:create'), rateLimit('comment_vote', 'votes'), async (req, res) => {
+  const { vote } = req.body;
+
+  if (![1, -1, 0].includes(vote)) {
+    return res.status(400).json({ error: 'vote must be 1, -1 or 0' });
+  }
+
+  try {
+    // Held and removed comments can't be voted on, nor shown to exist
+    const { data: comment } = await supabase
+      .from('comments')
+      .select('user_id')
+      .eq('id', req.params.id)
+      .eq('moderation_status', 'visible')
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (comment.user_id === req.user.id) {
+      return res.status(403).json({ error: 'You cannot vote on your own comment' });
+    }
+
+    res.json(await castVote(req.params.id, req.user.id, vote));
+
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+// RATE A POLITICIAN, MANIFESTO, ACHIEVEMENT OR PROMISE (1–5)
+// target_type defaults to manifesto for older clients.
+app.post('/rate', authorize('rating:create'), rateLimit('rating', 'ratings'), async (req, res) => {
+  const user_id = req.user.id;
+  const { target_type = 'manifesto', target_id, rating } = req.body;
+
+  if (!target_id || rating === undefined) {
+    return res.status(400).json({ error: 'Missing fields' });
+  }
+
+  if (!RATING_TARGETS[target_type]) {
+    return res.status(400).json({ error: `target_type must be one of ${Object.keys(RATING_TARGETS).join(', ')}` });
+  }
+
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    return res.status(400).json({ error: 'Rating must be a whole number between 1 and 5' });
+  }
+
+  try {
+    const result = await submitRating({ user_id, target_type, target_id, rating });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ message: 'Rating saved' });
+
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+// GET RATING SUMMARY
+// ?target_type=manifesto (default) | politician | achievement | promise
+// Ratings held back as part of a suspected burst are not counted.
+app.get('/ratings/:target_id', optionalAuth, async (req, res) => {
+  const { target_id } = req.params;
+  const { target_type = 'manifesto' } = req.query;
+
+  if (!RATING_TARGETS[target_type]) {
+    return res.status(400).json({ error: `target_type must be one of ${Object.keys(RATING_TARGETS).join(', ')}` });
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('ratings')
+      .select('user_id, rating, suspect')
+      .eq('target_type', target_type)
+      .eq('target_id', target_id);
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    const mine = req.user && data.find(r => r.user_id === req.user.id);
+
+    res.json({
+      target_type,
+      target_id,
+      ...ratingSummary(data.filter(r => !r.suspect)),
+      mine: mine ? mine.rating : null
+    });
+
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+// RATING BURSTS AWAITING REVIEW
+app.get('/admin/rating-bursts', authorize('content:moderate'), async (req, res) => {
+  const { status = 'open' } = req.query;
+
+  let query = supabase
+    .from('rating_bursts')
+    .select('id, target_type, target_id, rating_count, status, created_at, last_seen_at, reviewed_at')
+    .order('last_seen_at', { ascending: false });
+
+  if (status !== 'all') {
+    if (!['open', 'dismissed', 'discarded'].includes(status)) {
+      return res.status(400).json({ error: 'Invalid status' });
+    }
+    query = query.eq('status', status);
+  }
+
+  try {
+    const { data, error } = await query;
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    res.json(data);
+
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+// SETTLE A RATING BURST
+// dismiss: the ratings were genuine and count again
+// discard: they stay out of every summary
+app.post('/admin/rating-bursts/:id/:decision', authorize('content:moderate'), async (req, res) => {
+  const { id, decision } = req.params;
+
+  if (!['dismiss', 'discard'].includes(decision)) {
+    return res.status(400).json({ error: 'Decision must be dismiss or discard' });
+  }
+
+  try {
+    if (!(await resolveBurst(id, decision, req.user.id))) {
+      return res.status(404).json({ error: 'No open burst with that id' });
+    }
+
+    res.json({ message: decision === 'dismiss' ? 'Ratings restored' : 'Ratings discarded' });
+
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+// POLITICIAN PROFILE PAGE
+app.get('/politician/:id', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const { data: profile, error: profileError } = await supabase
+      .from('politician_profiles')
+      .select(`
+        id,
+        user_id,
+        full_name,
+        seat,
+        county,
+        constituency,
+        party,
+        bio
+      `)
+      .eq('id', id)
+      .eq('moderation_status', 'visible')
+      .single();
+
+    if (profileError) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    const { data: manifestos } = await supabase
+      .from('manifestos')
+      .select('id, category, content, created_at, edited_at')
+      .eq('politician_id', id)
+      .eq('moderation_status', 'visible')
+      .is('deleted_at', null)
+      .order('created_at', { ascending: false });
+
+    const { data: achievements } = await supabase
+      .from('achievements')
+      .select('id, title, description, created_at')
+      .eq('politician_id', id)
+      .eq('moderation_status', 'visible');
+
+    const { data: promises } = await supabase
+      .from('promises')
+      .select(PROMISE_FIELDS)
+      .eq('politician_id', id)
+      .eq('moderation_status', 'visible')
+      .order('target_date', { ascending: true });
+
+    res.json({
+      profile,
+      manifestos,
+      achievements,
+      promises: (promises || []).map(p => ({ ...p, overdue: isOverdue(p) })),
+      scorecard: scorecard(promises || [])
+    });
+
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load politician profile' });
+  }
+});
+
+
+// SEARCH POLITICIANS, MANIFESTOS AND GROUND UPDATES (PUBLIC)
+//   ?q=free health                 websearch syntax: "quoted phrase", -exclude, or
+//   &type=politician,manifesto     default: all three
+//   &seat=MP&county=047&party=ODM&category=Health
+//   &limit=20&offset=0
+// Results come back best match first with <mark>-highlighted title and snippet.
+app.get("/search", async (req, res) => {
+  const q = String(req.query.q || "").trim();
+  const { type, seat, county, party, category } = req.query;
+  const limit = parseLimit(req.query.limit, { max: 50 });
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  if (q.length < 2 || q.length > 200) {
+    return res.status(400).json({ error: "Search for 2 to 200 characters" });
+  }
+
+  const types = type ? String(type).split(",") : SEARCH_TYPES;
+  if (types.some(t => !SEARCH_TYPES.includes(t))) {
+    return res.status(400).json({ error: `type must be any of: ${SEARCH_TYPES.join(", ")}` });
+  }
+
+  if (seat && !(seat in SEAT_GEOGRAPHY)) {
+    return res.status(400).json({ error: "Invalid seat" });
+  }
+
+  if (category && !MANIFESTO_CATEGORIES.includes(category) && !GROUND_CATEGORIES.includes(category)) {
+    return res.status(400).json({ error: "Invalid category" });
+  }
+
+  let county_code = null;
+  if (county) {
+    const area = resolveLocation({ county });
+    if (area.error) return res.status(400).json({ error: area.error });
+    county_code = area.county.code;
+  }
+
+  try {
+    const found = await search({ q, types, seat, county_code, party, category, limit, offset });
+    res.json({ query: q, ...found });
+  } catch (err) {
+    res.status(500).json({ error: "Search failed" });
+  }
+});
+
+// WHO IS ON MY BALLOT (PUBLIC)
+//   ?county=047&constituency=274&ward=1366   codes or names
+// Every approved candidate for the six seats, in ballot order. Without a
+// ward the MCA race comes back with available: false.
+app.get("/ballot", async (req, res) => {
+  const { county, constituency, ward } = req.query;
+
+  if (!constituency && !ward) {
+    return res.status(400).json({ error: "Give at least your constituency, and your ward for the MCA race" });
+  }
+
+  const area = resolveLocation({ county, constituency, ward });
+  if (area.error) return res.status(400).json({ error: area.error });
+
+  try {
+    res.json({
+      area: locationColumns(area),
+      ballot: await ballotFor(area)
+    });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to load ballot" });
+  }
+});
+
+// COMPARE CANDIDATES IN THE SAME RACE (PUBLIC)
+//   ?ids=<profile id>,<profile id>[,...]   2 to MAX_COMPARE candidates
+app.get("/compare", async (req, res) => {
+  const ids = [...new Set(String(req.query.ids || "").split(",").map(id => id.trim()).filter(Boolean))];
+
+  if (ids.length < 2 || ids.length > MAX_COMPARE) {
+    return res.status(400).json({ error: `Compare between 2 and ${MAX_COMPARE} candidates` });
+  }
+
+  if (ids.some(id => !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id))) {
+    return res.status(400).json({ error: "Invalid candidate id" });
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from("politician_profiles")
+      .select("id, full_name, seat, party, county, constituency, ward, county_code, constituency_code, ward_code")
+      .in("id", ids)
+      .eq("is_verified", true)
+      .eq("moderation_status", "visible");
+
+    if (error) return res.status(500).json({ error: error.message });
+
+    const missing = ids.filter(id => !data.some(p => p.id === id));
+    if (missing.length) {
+      return res.status(404).json({ error: `Candidate not found: ${missing.join(", ")}` });
+    }
+
+    const profiles = ids.map(id => data.find(p => p.id === id));
+    const mismatch = checkSameRace(profiles);
+    if (mismatch) return res.status(400).json({ error: mismatch });
+
+    res.json({ seat: profiles[0].seat, ...(await compareCandidates(profiles)) });
+  } catch (err) {
+    res.status(500).json({ error: "Comparison failed" });
+  }
+});
+
+// GET ALL APPROVED POLITICIANS (PUBLIC)
+app.get("/politicians", async (req, res) => {
+  const { data, error } = await supabase
+    .from("politician_profiles")
+    .select(`
+      id,
+      user_id,
+      full_name,
+      seat,
+      county,
+      constituency,
+      party,
+      bio
+    `)
+    .eq("is_verified", true)
+    .eq("moderation_status", "visible")
+    .order("full_name", { ascending: true });
+
+  if (error) return res.status(500).json({ error: error.message });
+  res.json(data);
+});
+
+app.post('/politician/update-profile', authorize('profile:update', {
+  owner: req => owners.politicianProfile(req.body.politician_id)
+}), async (req, res) => {
+  const { politician_id, promises, achievements, campaign } = req.body;
+
+  // Promises are tracked records now, with status and evidence
+  if (promises !== undefined) {
+    return res.status(400).json({ error: 'Add promises with POST /promises' });
+  }
+
+  try {
+    const content = [achievements, campaign].filter(Boolean).join('\n');
+    const verdict = await moderate(content, { user_id: req.user.id, target_type: 'politician_profile' });
+
+    if (verdict.action === 'reject') {
+      return res.status(400).json({ error: 'Profile text violates community rules' });
+    }
+
+    const { data: profile, error } = await supabase
+      .from('politician_profiles')
+      .update({ achievements, campaign })
+      .eq('id', politician_id)
+      .select('id, user_id, moderation_status')
+      .single();
+
+    if (error) return res.status(500).json({ error: error.message });
+
+    // Flagged text hides the profile until a moderator looks; a profile
+    // moderators already removed stays removed
+    if (verdict.action === 'hold') {
+      await supabase
+        .from('politician_profiles')
+        .update({ moderation_status: 'held' })
+        .eq('id', profile.id)
+        .eq('moderation_status', 'visible');
+
+      await enqueueForReview({ target_type: 'politician_profile', target_id: profile.id, user_id: req.user.id, content, verdict });
+      return res.json({ message: 'Profile submitted for review' });
+    }
+
+    res.json({ message: 'Profile updated' });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// GET LOGGED-IN POLITICIAN PROFILE
+app.get("/my-politician-profile/:user_id", authorize("profile:read", {
+  owner: req => req.params.user_id
+}), async (req, res) => {
+  const { user_id } = req.params;
+
+  const { data, error } = await supabase
+    .from("politician_profiles")
+    .select("*")
+    .eq("user_id", user_id)
+    .single();
+
+  if (error) {
+    return res.status(404).json({ error: "Profile not found" });
+  }
+
+  res.json(data);
+});
+
+// POST GROUND UPDATE
+// Accepts JSON, or multipart/form-data with up to MAX_FILES "media" files.
+// Location metadata is stripped from media unless keep_location is "true".
+// Optional latitude/longitude pin the update on the incident map and fill in
+// the county / constituency / ward it falls in.
+app.post('/ground-updates', authorize('ground:create'), rateLimit('ground_update', 'reports'), acceptMedia, async (req, res) => {
+  const user_id = req.user.id;
+  const { location, category, content, county, constituency, ward, latitude, longitude } = req.body;
+  const keepLocation = String(req.body.keep_location) === 'true';
+
+  if (!location || !category || !content) {
+    return res.status(400).json({ error: "All fields required" });
+  }
+
+  if (!GROUND_CATEGORIES.includes(category)) {
+    return res.status(400).json({ error: "Invalid category" });
+  }
+
+  const point = parseCoordinates(latitude, longitude);
+  if (point?.error) {
+    return res.status(400).json({ error: point.error });
+  }
+
+  // Structured area is optional; the free-text location stays the place name
+  let area = resolveLocation({ county, constituency, ward });
+  if (!area.error && point) {
+    area = reconcileLocation(area, locateCoordinates(point.lat, point.lng));
+  }
+  if (area.error) {
+    return res.status(400).json({ error: area.error });
+  }
+
+  let media;
+  try {
+    media = await prepareMedia(req.files, { keepLocation });
+  } catch (err) {
+    if (err instanceof RangeError) return res.status(400).json({ error: err.message });
+    return res.status(500).json({ error: "Server error" });
+  }
+
+  try {
+    const update = await submitGroundUpdate({
+      user_id, location, category, content, area, point, media, keepLocation
+    });
+
+    if (update.rejected) {
+      return res.status(400).json({ error: "Update violates community rules" });
+    }
+
+    if (update.held) {
+      return res.json({ id: update.id, media: update.media, message: "Update submitted for review" });
+    }
+
+    res.json({ id: update.id, media: update.media, message: "Update posted" });
+  } catch {
+    res.status(500).json({ error: "Server error" });
+  }
+});
+// ADD MEDIA TO ONE OF YOUR OWN UPDATES
+app.post('/ground-updates/:id/media', authorize('ground:create', {
+  owner: req => owners.groundUpdate(req.params.id)
+}), acceptMedia, async (req, res) => {
+  const keepLocation = String(req.body.keep_location) === 'true';
+
+  if (!req.files?.length) {
+    return res.status(400).json({ error: 'No files attached' });
+  }
+
+  try {
+    if (await countMedia('ground_update', req.params.id) + req.files.length > MAX_FILES) {
+      return res.status(400).json({ error: `An update can have at most ${MAX_FILES} attachments` });
+    }
+
+    const media = await prepareMedia(req.files, { keepLocation });
+    const attached = await attachMedia('ground_update', req.params.id, req.user.id, media, { keepLocation });
+
+    res.json({ media: attached });
+  } catch (err) {
+    if (err instanceof RangeError) return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// GET GROUND UPDATES
+//   ?limit=20&cursor=...          newest first, keyset paged
+//   &category=Violence,Rally      one or more categories
+//   &status=verified,corroborated verification status
+//   &county=047&constituency=278  codes or names
+//   &since=ISO&until=ISO | &window=6h
+//   &author=<user id or username>
+//   &feed=following               people the caller follows (login required)
+app.get("/ground-updates", optionalAuth, async (req, res) => {
+  const { category, status, county, constituency, since, until, window, author, feed } = req.query;
+  const limit = parseLimit(req.query.limit);
+
+  let query = supabase
+    .from("ground_updates")
+    .select(`
+  id,
+  user_id,
+  location,
+  category,
+  content,
+  county_code,
+  constituency_code,
+  ward_code,
+  latitude,
+  longitude,
+  verification_status,
+  confidence,
+  corroborations_count,
+  disputes_count,
+  created_at,
+  users(username, trust_score),
+  ${FEED_COUNTS}
+`)
+    .eq("moderation_status", "visible")
+    // Legacy repost copies; originals carry the repost count instead
+    .is("repost_of", null)
+    .order("created_at", { ascending: false })
+    .order("id", { ascending: false });
+
+  try {
+    query = filterUpdates(query, { category, status, since, until, window });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  if (county || constituency) {
+    const area = resolveLocation({ county, constituency });
+    if (area.error) return res.status(400).json({ error: area.error });
+
+    query = area.constituency
+      ? query.eq("constituency_code", area.constituency.code)
+      : query.eq("county_code", area.county.code);
+  }
+
+  if (author) {
+    const byId = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(author);
+
+    const { data: authorRow } = await supabase
+      .from("users")
+      .select("id")
+      .eq(byId ? "id" : "username", author)
+      .maybeSingle();
+
+    if (!authorRow) return res.json({ updates: [], next_cursor: null });
+    query = query.eq("user_id", authorRow.id);
+  }
+
+  if (feed === "following") {
+    if (!req.user) {
+      return res.status(401).json({ error: "Log in to see your following feed" });
+    }
+
+    const filter = await followingFilter(req.user.id);
+    if (!filter) return res.json({ updates: [], next_cursor: null });
+    query = query.or(filter);
+  }
+
+  try {
+    query = afterCursor(query, req.query.cursor);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const { data, error } = await query.limit(limit + 1);
+
+  if (error) return res.status(400).json({ error: error.message });
+
+  const { items, next_cursor } = page(data, limit);
+  res.json({ updates: await decorateFeed(items, req.user), next_cursor });
+});
+
+// INCIDENT MAP
+//   ?bbox=minLng,minLat,maxLng,maxLat&zoom=0-20   required
+//   &category=Violence,Intimidation&status=verified,corroborated
+//   &since=ISO&until=ISO | &window=30m
+// Returns a GeoJSON FeatureCollection of geotagged updates, clustered for the
+// zoom level. "truncated" is set when the view holds more than MAP_MAX_POINTS.
+const MAP_MAX_POINTS = 5000;
+
+app.get("/ground-updates/map", async (req, res) => {
+  const { category, status, since, until, window } = req.query;
+  const bbox = parseBbox(req.query.bbox);
+  const zoom = Number(req.query.zoom);
+
+  if (!bbox) {
+    return res.status(400).json({ error: "bbox must be minLng,minLat,maxLng,maxLat" });
+  }
+
+  if (!Number.isInteger(zoom) || zoom < 0 || zoom > MAX_ZOOM) {
+    return res.status(400).json({ error: `zoom must be a whole number from 0 to ${MAX_ZOOM}` });
+  }
+
+  let query = supabase
+    .from("ground_updates")
+    .select(`
+  id,
+  category,
+  location,
+  county_code,
+  constituency_code,
+  ward_code,
+  latitude,
+  longitude,
+  verification_status,
+  confidence,
+  created_at
+`)
+    .eq("moderation_status", "visible")
+    .is("repost_of", null)
+    .gte("latitude", bbox.minLat)
+    .lte("latitude", bbox.maxLat)
+    .gte("longitude", bbox.minLng)
+    .lte("longitude", bbox.maxLng)
+    .order("created_at", { ascending: false });
+
+  try {
+    query = filterUpdates(query, { category, status, since, until, window });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const { data, error } = await query.limit(MAP_MAX_POINTS + 1);
+
+  if (error) return res.status(400).json({ error: error.message });
+
+  res.json({
+    ...clusterIncidents(data.slice(0, MAP_MAX_POINTS), zoom),
+    truncated: data.length > MAP_MAX_POINTS
+  });
+});
+
+/* =========================
+   CORROBORATION
+========================= */
+
+// CORROBORATE OR DISPUTE AN UPDATE. Only people near the incident may vouch
+// for it, so the caller sends their current latitude/longitude, and/or the
+// county / constituency / ward they are in for updates that aren't pinned
+// (USSD and SMS reports). Only the distance is kept, never the position.
+app.post('/ground-updates/:id/stance', authorize('ground:interact'), async (req, res) => {
+  const { stance, latitude, longitude, county, constituency, ward } = req.body;
+
+  if (!STANCES.includes(stance)) {
+    return res.status(400).json({ error: `stance must be one of: ${STANCES.join(', ')}` });
+  }
+
+  const point = parseCoordinates(latitude, longitude);
+  if (point?.error) {
+    return res.status(400).json({ error: point.error });
+  }
+
+  // The declared area stands in wherever the position can't be mapped
+  let area = resolveLocation({ county, constituency, ward });
+  if (!area.error && point) {
+    area = reconcileLocation(area, locateCoordinates(point.lat, point.lng));
+  }
+  if (area.error) {
+    return res.status(400).json({ error: area.error });
+  }
+  if (!point && !area.county) {
+    return res.status(400).json({
+      error: 'Share your position or your area to corroborate or dispute an update',
+      area_required: true
+    });
+  }
+
+  try {
+    const { data: update } = await supabase
+      .from('ground_updates')
+      .select('id, user_id, latitude, longitude, county_code, constituency_code, ward_code')
+      .eq('id', req.params.id)
+      .eq('moderation_status', 'visible')
+      .is('repost_of', null)
+      .single();
+
+    if (!update) {
+      return res.status(404).json({ error: 'Ground update not found' });
+    }
+
+    if (update.user_id === req.user.id) {
+      return res.status(403).json({ error: 'You cannot corroborate or dispute your own update' });
+    }
+
+    const nearby = checkNearby(update, point, area);
+    if (nearby.error) {
+      return res.status(403).json({ error: nearby.error, area_required: nearby.area_required });
+    }
+
+    const { error } = await supabase
+      .from('ground_corroborations')
+      .upsert([{
+        ground_id: update.id,
+        user_id: req.user.id,
+        stance,
+        distance_km: nearby.distance_km
+      }], { onConflict: 'ground_id,user_id' });
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    const credibility = await refreshCredibility(update.id);
+    res.json({ ...credibility, confidence_level: confidenceLevel(credibility.confidence), my_stance: stance });
+  } catch {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// WITHDRAW YOUR STANCE
+app.delete('/ground-updates/:id/stance', authorize('ground:interact'), async (req, res) => {
+  try {
+    const { error } = await supabase
+      .from('ground_corroborations')
+      .delete()
+      .eq('ground_id', req.params.id)
+      .eq('user_id', req.user.id);
 
     if (error) {
       return res.status(500).json({ error: error.message });
     }
 
-    res.json(data);
+    const credibility = await refreshCredibility(req.params.id);
+    if (!credibility) {
+      return res.status(404).json({ error: 'Ground update not found' });
+    }
+
+    res.json({ ...credibility, confidence_level: confidenceLevel(credibility.confidence), my_stance: null });
+  } catch {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ADMIN: MARK AN UPDATE VERIFIED OR FALSE ("unverified" hands it back to the crowd)
+app.post('/admin/ground-updates/:id/verify', authorize('incidents:verify'), async (req, res) => {
+  const { status, note } = req.body;
+
+  if (!VERDICTS.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${VERDICTS.join(', ')}` });
+  }
+
+  try {
+    const credibility = await setVerdict(req.params.id, status, req.user.id, note || null);
+    if (!credibility) {
+      return res.status(404).json({ error: 'Ground update not found' });
+    }
+
+    res.json({ ...credibility, confidence_level: confidenceLevel(credibility.confidence) });
+  } catch {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ADMIN: WHO MARKED AN UPDATE, WHEN AND WHY
+app.get('/admin/ground-updates/:id/verifications', authorize('incidents:verify'), async (req, res) => {
+  const { data, error } = await supabase
+    .from('ground_verifications')
+    .select('id, status, note, created_at, users(username)')
+    .eq('ground_id', req.params.id)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  res.json(data);
+});
+
+/* =========================
+   ESCALATIONS
+========================= */
+
+// OPEN ESCALATIONS DASHBOARD. Defaults to open + acknowledged; ?status=all
+// includes resolved ones. Critical first, then most recent activity.
+app.get('/admin/escalations', authorize('escalations:manage'), async (req, res) => {
+  const { status, county } = req.query;
+
+  let query = supabase
+    .from('escalations')
+    .select(`
+      id,
+      rule_id,
+      rule_name,
+      severity,
+      scope,
+      scope_code,
+      area_name,
+      county_code,
+      categories,
+      report_count,
+      status,
+      first_report_at,
+      last_report_at,
+      acknowledged_at,
+      resolved_at,
+      escalation_acknowledgements(count)
+    `)
+    // "critical" sorts before "high"
+    .order('severity', { ascending: true })
+    .order('last_report_at', { ascending: false });
+
+  if (!status) query = query.in('status', ['open', 'acknowledged']);
+  else if (status !== 'all') {
+    if (!ESCALATION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'Invalid status' });
+    }
+    query = query.eq('status', status);
+  }
+
+  if (county) {
+    const area = resolveLocation({ county });
+    if (area.error) return res.status(400).json({ error: area.error });
+    query = query.eq('county_code', area.county.code);
+  }
+
+  const { data, error } = await query;
+
+  if (error) return res.status(500).json({ error: error.message });
+
+  res.json(data.map(({ escalation_acknowledgements, ...e }) => ({
+    ...e,
+    acknowledgements_count: escalation_acknowledgements?.[0]?.count || 0
+  })));
+});
+
+// ONE ESCALATION WITH ITS REPORTS, WHO WAS NOTIFIED AND WHO ACKNOWLEDGED
+app.get('/admin/escalations/:id', authorize('escalations:manage'), async (req, res) => {
+  const { data: escalation, error } = await supabase
+    .from('escalations')
+    .select('*')
+    .eq('id', req.params.id)
+    .single();
+
+  if (error || !escalation) {
+    return res.status(404).json({ error: 'Escalation not found' });
+  }
+
+  const [{ data: reports }, { data: notifications }, { data: acknowledgements }] = await Promise.all([
+    supabase
+      .from('escalation_reports')
+      .select('ground_updates(id, category, location, content, latitude, longitude, verification_status, created_at)')
+      .eq('escalation_id', escalation.id),
+    supabase
+      .from('escalation_notifications')
+      .select('email_status, webhook_status, error, acknowledged_at, created_at, escalation_responders(name)')
+      .eq('escalation_id', escalation.id),
+    supabase
+      .from('escalation_acknowledgements')
+      .select('note, created_at, escalation_responders(name), users(username)')
+      .eq('escalation_id', escalation.id)
+      .order('created_at', { ascending: true })
+  ]);
+
+  res.json({
+    ...escalation,
+    reports: (reports || []).map(r => r.ground_updates),
+    notifications: notifications || [],
+    acknowledgements: acknowledgements || []
+  });
+});
+
+app.post('/admin/escalations/:id/acknowledge', authorize('escalations:manage'), async (req, res) => {
+  const acknowledged = await acknowledge(req.params.id, { user_id: req.user.id, note: req.body.note || null });
+
+  if (!acknowledged) {
+    return res.status(404).json({ error: 'Escalation not found' });
+  }
+
+  res.json({ message: 'Escalation acknowledged' });
+});
+
+app.post('/admin/escalations/:id/resolve', authorize('escalations:manage'), async (req, res) => {
+  const resolved = await resolveEscalation(req.params.id, req.user.id, req.body.note || null);
+
+  if (!resolved) {
+    return res.status(409).json({ error: 'Escalation not found or already resolved' });
+  }
+
+  res.json(resolved);
+});
+
+app.get('/admin/escalation-rules', authorize('escalations:manage'), (req, res) => {
+  res.json(listRules());
+});
+
+// RESPONDERS: admins, county observers or a team's webhook. No county means
+// they hear about escalations nationwide.
+const RESPONDER_FIELDS = 'id, name, email, webhook_url, county_code, active, created_at';
+
+app.get('/admin/escalation-responders', authorize('escalations:configure'), async (req, res) => {
+  const { data, error } = await supabase
+    .from('escalation_responders')
+    .select(RESPONDER_FIELDS)
+    .order('created_at', { ascending: true });
+
+  if (error) return res.status(500).json({ error: error.message });
+  res.json(data);
+});
+
+function responderFields(body) {
+  const fields = {};
 
-  } catch (err) {
-    res.status(500).json({ error: 'Server error' });
-  }
-});
+  if (body.name !== undefined) fields.name = String(body.name).trim();
+  if (body.email !== undefined) fields.email = body.email ? String(body.email).trim().toLowerCase() : null;
+  if (body.active !== undefined) fields.active = Boolean(body.active);
 
-// POST COMMENT (GENERIC TARGET SYSTEM)
-app.post('/comment', async (req, res) => {
-  const { user_id, target_id, content } = req.body;
+  if (body.webhook_url !== undefined) {
+    if (body.webhook_url && !/^https:\/\//.test(body.webhook_url)) {
+      return { error: 'Webhooks must use https' };
+    }
+    if (body.webhook_url && !webhooksEnabled()) {
+      return { error: 'Set ESCALATION_WEBHOOK_SECRET before adding webhooks' };
+    }
+    fields.webhook_url = body.webhook_url || null;
+  }
 
-  if (!user_id || !target_id || !content) {
-    return res.status(400).json({ error: 'All fields required' });
+  if (body.county !== undefined) {
+    if (!body.county) fields.county_code = null;
+    else {
+      const area = resolveLocation({ county: body.county });
+      if (area.error) return { error: area.error };
+      fields.county_code = area.county.code;
+    }
   }
 
-  // Safety filter (basic, extend later)
-  const bannedWords = ['kill', 'hate', 'tribe', 'idiot'];
-  const text = content.toLowerCase();
+  return fields;
+}
+
+app.post('/admin/escalation-responders', authorize('escalations:configure'), async (req, res) => {
+  const fields = responderFields(req.body);
+  if (fields.error) return res.status(400).json({ error: fields.error });
 
-  if (bannedWords.some(word => text.includes(word))) {
-    return res.status(400).json({ error: 'Comment violates community rules' });
+  if (!fields.name || (!fields.email && !fields.webhook_url)) {
+    return res.status(400).json({ error: 'A responder needs a name and an email or webhook' });
   }
 
-  try {
-    // Confirm user exists
-    const { data: user } = await supabase
-      .from('users')
-      .select('id')
-      .eq('id', user_id)
-      .single();
+  const { data, error } = await supabase
+    .from('escalation_responders')
+    .insert([{ ...fields, created_by: req.user.id }])
+    .select(RESPONDER_FIELDS)
+    .single();
 
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
+  if (error) return res.status(500).json({ error: error.message });
+  res.json(data);
+});
 
-    // Insert comment
-    const { error } = await supabase
-      .from('comments')
-      .insert([
-        {
-          user_id,
-          target_type: 'manifesto',
-          target_id,
-          content
-        }
-      ]);
+app.patch('/admin/escalation-responders/:id', authorize('escalations:configure'), async (req, res) => {
+  const fields = responderFields(req.body);
+  if (fields.error) return res.status(400).json({ error: fields.error });
 
-    if (error) {
-      return res.status(500).json({ error: error.message });
-    }
+  const { data, error } = await supabase
+    .from('escalation_responders')
+    .update(fields)
+    .eq('id', req.params.id)
+    .select(RESPONDER_FIELDS)
+    .single();
 
-    res.json({ message: 'Comment posted successfully' });
+  if (error || !data) return res.status(404).json({ error: 'Responder not found' });
+  res.json(data);
+});
 
-  } catch (err) {
-    res.status(500).json({ error: 'Server error' });
+// ACKNOWLEDGEMENT LINKS FROM EMAILS AND WEBHOOKS. The GET only shows a
+// button, so mail scanners that prefetch links can't acknowledge for anyone.
+app.get('/escalations/acknowledge', (req, res) => {
+  const token = String(req.query.token || '');
+
+  if (!/^[A-Za-z0-9_-]{16,}$/.test(token)) {
+    return res.status(400).send('Invalid acknowledgement link');
   }
+
+  res.send(`
+    <form method="post" action="/escalations/acknowledge">
+      <input type="hidden" name="token" value="${token}">
+      <button type="submit">Acknowledge escalation</button>
+    </form>
+  `);
 });
 
-// GET COMMENTS FOR A MANIFESTO (PUBLIC)
-app.get('/comments/:target_id', async (req, res) => {
-  const { target_id } = req.params;
+app.post('/escalations/acknowledge', express.urlencoded({ extended: false }), async (req, res) => {
+  const acknowledged = await acknowledgeByToken(req.body.token);
 
-  try {
-    const { data, error } = await supabase
-      .from('comments')
-      .select(`
-        id,
-        content,
-        created_at,
-        users (
-          username,
-          role
-        )
-      `)
-      .eq('target_type', 'manifesto')
-      .eq('target_id', target_id)
-      .order('created_at', { ascending: true });
+  if (!acknowledged) {
+    return res.status(400).send('This link is invalid or has already been used');
+  }
 
-    if (error) {
-      return res.status(500).json({ error: error.message });
-    }
+  res.send('Thank you. The escalation has been marked as acknowledged.');
+});
 
-    res.json(data);
+/* =========================
+   SMS & USSD (AFRICA'S TALKING)
+   Callback URLs carry ?token=AT_CALLBACK_TOKEN. npm run simulate:ussd
+   plays the gateway locally.
+========================= */
+const gatewayForm = express.urlencoded({ extended: false });
 
+// USSD SESSION STEP. Always answers 200 with CON/END text; the network shows
+// anything else as a generic error.
+app.post('/ussd/callback', gatewayForm, async (req, res) => {
+  if (!isTrustedGatewayCallback(req)) {
+    return res.status(403).send('Forbidden');
+  }
+
+  res.type('text/plain');
+
+  try {
+    res.send(await handleUssd(req.body));
   } catch (err) {
-    res.status(500).json({ error: 'Server error' });
+    console.error('USSD callback failed:', err.message);
+    res.send('END Sorry, something went wrong. Please try again later.');
   }
 });
-// RATE MANIFESTO (1–5)
-app.post('/rate', async (req, res) => {
-  const { user_id, target_id, rating } = req.body;
 
-  if (!user_id || !target_id || !rating) {
-    return res.status(400).json({ error: 'Missing fields' });
+// INCOMING SMS. The reply goes out as a new message.
+app.post('/sms/callback', gatewayForm, async (req, res) => {
+  if (!isTrustedGatewayCallback(req)) {
+    return res.status(403).send('Forbidden');
   }
 
-  if (rating < 1 || rating > 5) {
-    return res.status(400).json({ error: 'Rating must be between 1 and 5' });
-  }
+  const from = normalisePhone(req.body.from);
+  res.sendStatus(200);
+
+  if (!from) return;
 
   try {
-    // Upsert rating (insert or update)
-    const { error } = await supabase
-      .from('ratings')
-      .upsert([
-        {
-          user_id,
-          target_type: 'manifesto',
-          target_id,
-          rating
-        }
-      ]);
+    await sendSms(from, await handleSms(req.body));
+  } catch (err) {
+    console.error('SMS reply failed:', err.message);
+  }
+});
 
-    if (error) {
-      return res.status(500).json({ error: error.message });
-    }
+/* =========================
+   NOTIFICATIONS
+========================= */
 
-    res.json({ message: 'Rating saved' });
+// OWN EMAIL PREFERENCES
+app.get('/notifications/preferences', requireAuth, async (req, res) => {
+  try {
+    const [{ data: user }, email] = await Promise.all([
+      supabase.from('users').select('locale').eq('id', req.user.id).single(),
+      preferencesFor(req.user.id)
+    ]);
 
+    res.json({
+      locale: user?.locale || 'en',
+      locales: LOCALES,
+      email,
+      required: Object.keys(NOTIFICATION_CATEGORIES).filter(c => NOTIFICATION_CATEGORIES[c].required)
+    });
   } catch (err) {
     res.status(500).json({ error: 'Server error' });
   }
 });
-// GET MANIFESTO RATING SUMMARY
-app.get('/ratings/:target_id', async (req, res) => {
-  const { target_id } = req.params;
-
-  try {
-    const { data, error } = await supabase
-      .from('ratings')
-      .select('rating')
-      .eq('target_type', 'manifesto')
-      .eq('target_id', target_id);
 
-    if (error) {
-      return res.status(500).json({ error: error.message });
-    }
+// { locale: "sw", email: { replies: false } }
+app.patch('/notifications/preferences', requireAuth, async (req, res) => {
+  const { locale, email = {} } = req.body;
 
-    if (data.length === 0) {
-      return res.json({ average: 0, count: 0 });
-    }
+  if (locale !== undefined && !LOCALES.includes(locale)) {
+    return res.status(400).json({ error: `locale must be one of ${LOCALES.join(', ')}` });
+  }
 
-    const total = data.reduce((sum, r) => sum + r.rating, 0);
-    const avg = (total / data.length).toFixed(1);
+  if (typeof email !== 'object' || Array.isArray(email)) {
+    return res.status(400).json({ error: 'email must be an object of category: true/false' });
+  }
 
-    res.json({
-      average: avg,
-      count: data.length
-    });
+  try {
+    if (locale) {
+      await supabase.from('users').update({ locale }).eq('id', req.user.id);
+    }
 
+    res.json({ email: await setPreferences(req.user.id, email) });
   } catch (err) {
+    if (err instanceof RangeError) return res.status(400).json({ error: err.message });
     res.status(500).json({ error: 'Server error' });
   }
 });
-// POLITICIAN PROFILE PAGE
-app.get('/politician/:id', async (req, res) => {
-  const { id } = req.params;
-
-  try {
-    const { data: profile, error: profileError } = await supabase
-      .from('politician_profiles')
-      .select(`
-        id,
-        user_id,
-        full_name,
-        seat,
-        county,
-        constituency,
-        party,
-        bio
-      `)
-      .eq('id', id)
-      .single();
-
-    if (profileError) {
-      return res.status(404).json({ error: 'Profile not found' });
-    }
 
-    const { data: manifestos } = await supabase
-      .from('manifestos')
-      .select('id, category, content, created_at')
-      .eq('politician_id', id)
-      .order('created_at', { ascending: false });
+// UNSUBSCRIBE LINK FROM AN EMAIL. GET only shows a button so link scanners
+// can't unsubscribe anyone; mail clients use the one-click POST directly.
+app.get('/notifications/unsubscribe', (req, res) => {
+  if (!checkUnsubscribe(req.query)) {
+    return res.status(400).send('Invalid unsubscribe link');
+  }
 
-    const { data: achievements } = await supabase
-      .from('achievements')
-      .select('title, description, created_at')
-      .eq('politician_id', id);
+  const params = new URLSearchParams({ u: req.query.u, c: req.query.c, t: req.query.t });
 
-    const { data: promises } = await supabase
-      .from('promises')
-      .select('content, created_at')
-      .eq('politician_id', id);
+  res.send(`
+    <form method="post" action="/notifications/unsubscribe?${params}">
+      <p>Stop receiving ${req.query.c} emails from Kenya E-Campaign?</p>
+      <button type="submit">Unsubscribe</button>
+    </form>
+  `);
+});
 
-    res.json({
-      profile,
-      manifestos,
-      achievements,
-      promises
-    });
+app.post('/notifications/unsubscribe', express.urlencoded({ extended: false }), async (req, res) => {
+  if (!checkUnsubscribe(req.query)) {
+    return res.status(400).send('Invalid unsubscribe link');
+  }
 
+  try {
+    await setPreferences(req.query.u, { [req.query.c]: false });
+    res.send(`You will no longer receive ${req.query.c} emails. You can turn them back on in your settings.`);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to load politician profile' });
+    res.status(500).send('Something went wrong, please try again later');
   }
 });
 
+// ADMIN: DELIVERY QUEUE. Defaults to failed messages.
+app.get('/admin/notifications', authorize('notifications:manage'), async (req, res) => {
+  const { status = 'failed' } = req.query;
+
+  if (!NOTIFICATION_STATUSES.includes(status)) {
+    return res.status(400).json({ error: 'Invalid status' });
+  }
 
-// GET ALL APPROVED POLITICIANS (PUBLIC)
-app.get("/politicians", async (req, res) => {
   const { data, error } = await supabase
-    .from("politician_profiles")
-    .select(`
-      id,
-      user_id,
-      full_name,
-      seat,
-      county,
-      constituency,
-      party,
-      bio
-    `)
-    .eq("is_verified", true)
-    .order("full_name", { ascending: true });
+    .from('notification_queue')
+    .select('id, user_id, to_address, template, locale, subject, status, attempts, last_error, next_attempt_at, sent_at, created_at')
+    .eq('status', status)
+    .order('created_at', { ascending: false })
+    .limit(parseLimit(req.query.limit));
 
   if (error) return res.status(500).json({ error: error.message });
   res.json(data);
 });
 
-app.post('/politician/update-profile', async (req, res) => {
-  const { politician_id, promises, achievements, campaign } = req.body;
-
-  const { error } = await supabase
-    .from('politician_profiles')
-    .update({
-      promises,
-      achievements,
-      campaign
-    })
-    .eq('id', politician_id);
-
-  if (error) return res.status(500).json({ error: error.message });
-  res.json({ message: 'Profile updated' });
-});
-
-// GET LOGGED-IN POLITICIAN PROFILE
-app.get("/my-politician-profile/:user_id", async (req, res) => {
-  const { user_id } = req.params;
-
-  const { data, error } = await supabase
-    .from("politician_profiles")
-    .select("*")
-    .eq("user_id", user_id)
-    .single();
+app.post('/admin/notifications/:id/retry', authorize('notifications:manage'), async (req, res) => {
+  try {
+    if (!(await retryNotification(req.params.id))) {
+      return res.status(404).json({ error: 'No failed notification with that id, or its code has expired' });
+    }
 
-  if (error) {
-    return res.status(404).json({ error: "Profile not found" });
+    res.json({ message: 'Notification queued for another attempt' });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
   }
-
-  res.json(data);
 });
 
-// POST GROUND UPDATE
-app.post('/ground-updates', async (req, res) => {
-  const { user_id, location, category, content } = req.body;
+/* =========================
+   FOLLOWING
+========================= */
+app.post('/follow', authorize('users:follow'), async (req, res) => {
+  const { user_id } = req.body;
 
-  if (!user_id || !location || !category || !content) {
-    return res.status(400).json({ error: "All fields required" });
+  if (!user_id || user_id === req.user.id) {
+    return res.status(400).json({ error: 'Invalid user' });
   }
 
-  try {
-    const { error } = await supabase
-      .from('ground_updates')
-      .insert([{ user_id, location, category, content }]);
-
-    if (error) {
-      return res.status(500).json({ error: error.message });
-    }
+  const { error } = await supabase
+    .from('user_follows')
+    .upsert([{ follower_id: req.user.id, followee_id: user_id }], {
+      onConflict: 'follower_id,followee_id',
+      ignoreDuplicates: true
+    });
 
-    res.json({ message: "Update posted" });
-  } catch {
-    res.status(500).json({ error: "Server error" });
-  }
+  if (error) return res.status(500).json({ error: error.message });
+  res.json({ following: true });
 });
-// GET GROUND UPDATES
-app.get("/ground-updates", async (req, res) => {
-  const { data, error } = await supabase
-    .from("ground_updates")
-    .select(`
-  id,
-  location,
-  category,
-  content,
-  created_at,
-  users(username)
-`)
 
-    .order("created_at", { ascending: false });
+app.post('/unfollow', authorize('users:follow'), async (req, res) => {
+  const { user_id } = req.body;
 
-  if (error) return res.status(400).json({ error: error.message });
+  if (!user_id) {
+    return res.status(400).json({ error: 'Invalid user' });
+  }
 
-  res.json(data);
+  const { error } = await supabase
+    .from('user_follows')
+    .delete()
+    .eq('follower_id', req.user.id)
+    .eq('followee_id', user_id);
+
+  if (error) return res.status(500).json({ error: error.message });
+  res.json({ following: false });
 });
 
 app.get("/ground-likes/:id", async (req, res) => {
@@ -866,12 +3465,8 @@ app.get("/ground-likes/:id", async (req, res) => {
 });
 
 app.get("/ground-comments-count/:id", async (req, res) => {
-  const { count } = await supabase
-    .from("ground_comments")
-    .select("*", { count: "exact", head: true })
-    .eq("ground_id", req.params.id);
-
-  res.json({ count });
+  const counts = await commentCounts("ground_update", [req.params.id]);
+  res.json({ count: counts[req.params.id] || 0 });
 });
 
 app.get("/ground-reposts-count/:id", async (req, res) => {
@@ -883,68 +3478,59 @@ app.get("/ground-reposts-count/:id", async (req, res) => {
   res.json({ count });
 });
 
-app.post('/ground-like', async (req, res) => {
-  const { user_id, ground_id } = req.body;
+/*
+ * Likes and reposts are one row per (user, update), so each call just sets
+ * the state it names; repeating it changes nothing. Every call answers with
+ * the fresh count and the caller's own state.
+ */
+const INTERACTIONS = {
+  like: { table: 'ground_likes', flag: 'liked', count: 'likes_count' },
+  repost: { table: 'ground_reposts', flag: 'reposted', count: 'reposts_count' }
+};
 
-  if (!user_id || !ground_id) {
-    return res.status(400).json({ error: 'Missing fields' });
-  }
-
-  const { error } = await supabase
-    .from('ground_likes')
-    .upsert([{ user_id, ground_id }]);
-
-  if (error) {
-    return res.status(500).json({ error: error.message });
-  }
+function interactionRoute(kind, on) {
+  const { table, flag, count } = INTERACTIONS[kind];
 
-  res.json({ message: 'Liked' });
-});
-app.get("/ground-comments/:id", async (req, res) => {
-  const { id } = req.params;
-
-  const { data, error } = await supabase
-    .from("ground_comments")
-    .select("content, created_at, users(username)")
-    .eq("ground_id", id)
-    .order("created_at", { ascending: true });
-
-  if (error) return res.status(400).json({ error: error.message });
+  return async (req, res) => {
+    const user_id = req.user.id;
 
-  res.json(data);
-});
+    if (!req.body.ground_id) {
+      return res.status(400).json({ error: 'Missing fields' });
+    }
 
-app.post('/ground-repost', async (req, res) => {
-  const { user_id, ground_id } = req.body;
+    try {
+      const ground_id = await resolveOriginal(req.body.ground_id);
+      if (!ground_id) {
+        return res.status(404).json({ error: 'Ground update not found' });
+      }
 
-  if (!user_id || !ground_id) {
-    return res.status(400).json({ error: 'Missing fields' });
-  }
+      const { error } = on
+        ? await supabase.from(table)
+          .upsert([{ user_id, ground_id }], { onConflict: 'user_id,ground_id', ignoreDuplicates: true })
+        : await supabase.from(table)
+          .delete()
+          .eq('user_id', user_id)
+          .eq('ground_id', ground_id);
 
-  const { data: original } = await supabase
-    .from('ground_updates')
-    .select('*')
-    .eq('id', ground_id)
-    .single();
+      if (error) {
+        return res.status(500).json({ error: error.message });
+      }
 
-  const { error } = await supabase.from('ground_updates').insert([
-    {
-      user_id,
-      location: original.location,
-      category: original.category,
-      content: original.content,
-      repost_of: ground_id
+      const state = await interactionState(table, user_id, ground_id);
+      res.json({ ground_id, [flag]: state.active, [count]: state.count });
+    } catch (err) {
+      res.status(500).json({ error: 'Server error' });
     }
-  ]);
-
-  if (error) {
-    return res.status(500).json({ error: error.message });
-  }
+  };
+}
 
-  res.json({ message: 'Reposted' });
-});
+app.post('/ground-like', authorize('ground:interact'), interactionRoute('like', true));
+app.post('/ground-unlike', authorize('ground:interact'), interactionRoute('like', false));
+app.post('/ground-repost', authorize('ground:interact'), interactionRoute('repost', true));
+app.post('/ground-unrepost', authorize('ground:interact'), interactionRoute('repost', false));
 
 
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
+  startQueueWorker();
 });
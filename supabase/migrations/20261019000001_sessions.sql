@@ -0,0 +1,13 @@
+-- Login sessions backing the signed access tokens issued by /login.
+-- Only a SHA-256 hash of the refresh token is stored.
+create table if not exists sessions (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users(id) on delete cascade,
+  refresh_token_hash text not null unique,
+  expires_at timestamptz not null,
+  revoked_at timestamptz,
+  last_used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists sessions_user_id_idx on sessions(user_id);
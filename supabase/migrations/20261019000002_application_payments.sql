@@ -0,0 +1,38 @@
+-- Politician application fees paid over M-Pesa.
+-- Status flow: awaiting_payment -> pending -> approved / rejected
+alter table politician_applications
+  add column if not exists mpesa_code text,
+  add column if not exists payment_status text not null default 'unpaid',
+  add column if not exists paid_at timestamptz;
+
+create index if not exists politician_applications_mpesa_code_idx
+  on politician_applications(mpesa_code);
+
+-- Every confirmed payment Daraja reports, from STK push or C2B.
+create table if not exists mpesa_transactions (
+  receipt text primary key,
+  amount numeric not null,
+  phone text,
+  account_ref text,
+  source text not null check (source in ('stk', 'c2b')),
+  application_id uuid references politician_applications(id),
+  raw jsonb,
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists mpesa_transactions_application_idx
+  on mpesa_transactions(application_id) where application_id is not null;
+
+-- STK push prompts sent to applicants' phones.
+create table if not exists payment_requests (
+  id uuid primary key default gen_random_uuid(),
+  application_id uuid not null references politician_applications(id) on delete cascade,
+  phone text not null,
+  amount numeric not null,
+  merchant_request_id text,
+  checkout_request_id text unique,
+  status text not null default 'sent',
+  result_desc text,
+  mpesa_receipt text,
+  created_at timestamptz not null default now()
+);
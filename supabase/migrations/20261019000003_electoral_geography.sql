@@ -0,0 +1,24 @@
+-- IEBC codes for the county / constituency / ward a record belongs to.
+-- The canonical list lives in data/geo/*.json; names are kept alongside
+-- the codes for display.
+alter table politician_applications
+  add column if not exists ward text,
+  add column if not exists county_code char(3),
+  add column if not exists constituency_code char(3),
+  add column if not exists ward_code char(4);
+
+alter table politician_profiles
+  add column if not exists ward text,
+  add column if not exists county_code char(3),
+  add column if not exists constituency_code char(3),
+  add column if not exists ward_code char(4);
+
+alter table ground_updates
+  add column if not exists county_code char(3),
+  add column if not exists constituency_code char(3),
+  add column if not exists ward_code char(4);
+
+create index if not exists politician_profiles_area_idx
+  on politician_profiles(county_code, constituency_code, ward_code);
+create index if not exists ground_updates_area_idx
+  on ground_updates(county_code, constituency_code);
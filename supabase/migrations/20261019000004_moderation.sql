@@ -0,0 +1,22 @@
+-- Moderation state for user-generated content. Public reads only return
+-- rows that are 'visible'; 'held' rows wait in moderation_queue.
+alter table manifestos add column if not exists moderation_status text not null default 'visible';
+alter table comments add column if not exists moderation_status text not null default 'visible';
+alter table ground_updates add column if not exists moderation_status text not null default 'visible';
+alter table ground_comments add column if not exists moderation_status text not null default 'visible';
+
+create table if not exists moderation_queue (
+  id uuid primary key default gen_random_uuid(),
+  target_type text not null check (target_type in ('manifesto', 'comment', 'ground_update', 'ground_comment')),
+  target_id uuid not null,
+  user_id uuid references users(id) on delete set null,
+  content text,
+  score numeric not null default 0,
+  reasons jsonb not null default '[]',
+  status text not null default 'pending' check (status in ('pending', 'released', 'removed')),
+  reviewed_by uuid references users(id),
+  reviewed_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists moderation_queue_status_idx on moderation_queue(status, created_at);
@@ -0,0 +1,44 @@
+-- User reports on content and the moderator decisions taken on them.
+alter table politician_profiles add column if not exists moderation_status text not null default 'visible';
+
+create table if not exists reports (
+  id uuid primary key default gen_random_uuid(),
+  reporter_id uuid not null references users(id) on delete cascade,
+  target_type text not null check (target_type in ('manifesto', 'comment', 'ground_update', 'ground_comment', 'politician_profile')),
+  target_id uuid not null,
+  target_owner_id uuid references users(id) on delete set null,
+  reason text not null,
+  details text,
+  status text not null default 'open' check (status in ('open', 'triaged', 'resolved', 'dismissed')),
+  priority int not null default 0,
+  assigned_to uuid references users(id),
+  resolution text,
+  resolved_by uuid references users(id),
+  resolved_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+-- One report per user per target
+create unique index if not exists reports_reporter_target_idx
+  on reports(reporter_id, target_type, target_id);
+create index if not exists reports_status_idx on reports(status, priority desc, created_at);
+create index if not exists reports_target_idx on reports(target_type, target_id);
+
+-- Append-only decision history
+create table if not exists report_actions (
+  id uuid primary key default gen_random_uuid(),
+  report_id uuid not null references reports(id) on delete cascade,
+  actor_id uuid references users(id),
+  action text not null,
+  note text,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists user_warnings (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users(id) on delete cascade,
+  issued_by uuid references users(id),
+  report_id uuid references reports(id) on delete set null,
+  note text,
+  created_at timestamptz not null default now()
+);
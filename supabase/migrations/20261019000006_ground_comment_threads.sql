@@ -0,0 +1,9 @@
+-- Threaded, editable ground update comments. Replies point at a top-level
+-- comment; deletes are soft so threads keep their shape.
+alter table ground_comments
+  add column if not exists parent_id uuid references ground_comments(id) on delete cascade,
+  add column if not exists edited_at timestamptz,
+  add column if not exists deleted_at timestamptz;
+
+create index if not exists ground_comments_thread_idx
+  on ground_comments(ground_id, parent_id, created_at, id);
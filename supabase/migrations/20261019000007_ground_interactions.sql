@@ -0,0 +1,16 @@
+-- One like and one repost per user per update, so toggles are idempotent.
+delete from ground_likes a
+  using ground_likes b
+  where a.ctid < b.ctid and a.user_id = b.user_id and a.ground_id = b.ground_id;
+
+delete from ground_reposts a
+  using ground_reposts b
+  where a.ctid < b.ctid and a.user_id = b.user_id and a.ground_id = b.ground_id;
+
+create unique index if not exists ground_likes_user_ground_idx on ground_likes(user_id, ground_id);
+create unique index if not exists ground_reposts_user_ground_idx on ground_reposts(user_id, ground_id);
+
+-- Reposts used to be copied into ground_updates; record them as reposts too.
+insert into ground_reposts (user_id, ground_id)
+  select distinct user_id, repost_of from ground_updates where repost_of is not null
+  on conflict do nothing;
@@ -0,0 +1,17 @@
+-- Who follows whom, for the ground updates "following" feed.
+create table if not exists user_follows (
+  follower_id uuid not null references users(id) on delete cascade,
+  followee_id uuid not null references users(id) on delete cascade,
+  created_at timestamptz not null default now(),
+  primary key (follower_id, followee_id),
+  check (follower_id <> followee_id)
+);
+
+create index if not exists user_follows_followee_idx on user_follows(followee_id);
+
+-- Keyset paging and the common feed filters
+create index if not exists ground_updates_feed_idx on ground_updates(created_at desc, id desc);
+create index if not exists ground_updates_category_idx on ground_updates(category, created_at desc);
+create index if not exists ground_updates_user_idx on ground_updates(user_id, created_at desc);
+
+alter table ground_reposts add column if not exists created_at timestamptz not null default now();
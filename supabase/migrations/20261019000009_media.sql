@@ -0,0 +1,20 @@
+-- Photo and video evidence attached to ground updates and their comments.
+-- Location metadata is stripped before upload unless keeps_location is set.
+create table if not exists media (
+  id uuid primary key default gen_random_uuid(),
+  target_type text not null check (target_type in ('ground_update', 'ground_comment')),
+  target_id uuid not null,
+  user_id uuid not null references users(id) on delete cascade,
+  kind text not null check (kind in ('image', 'video')),
+  content_type text not null,
+  size integer not null,
+  width integer,
+  height integer,
+  storage_key text not null,
+  url text not null,
+  thumbnail_url text,
+  keeps_location boolean not null default false,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists media_target_idx on media(target_type, target_id, created_at);
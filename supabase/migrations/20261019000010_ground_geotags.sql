@@ -0,0 +1,19 @@
+-- Optional WGS84 position for a ground update, used by the incident map.
+-- The county / constituency / ward codes are filled in from it when the
+-- boundary polygons are loaded.
+alter table ground_updates
+  add column if not exists latitude double precision,
+  add column if not exists longitude double precision;
+
+alter table ground_updates
+  drop constraint if exists ground_updates_position_check;
+
+alter table ground_updates
+  add constraint ground_updates_position_check check (
+    (latitude is null and longitude is null) or
+    (latitude between -90 and 90 and longitude between -180 and 180)
+  );
+
+create index if not exists ground_updates_position_idx
+  on ground_updates(latitude, longitude, created_at)
+  where latitude is not null;
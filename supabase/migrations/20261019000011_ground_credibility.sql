@@ -0,0 +1,44 @@
+-- Reporter trust and incident credibility. Scores are recomputed by the API
+-- whenever a stance or verdict changes and stored here for the feed.
+alter table users
+  add column if not exists trust_score numeric(4, 3) not null default 0.5;
+
+-- verified_by has no foreign key on purpose: a second link to users would
+-- make the feed's users(...) embed ambiguous. ground_verifications keeps
+-- the audited record.
+alter table ground_updates
+  add column if not exists verification_status text not null default 'unverified'
+    check (verification_status in ('verified', 'corroborated', 'unverified', 'disputed', 'false')),
+  add column if not exists confidence numeric(4, 3),
+  add column if not exists corroborations_count integer not null default 0,
+  add column if not exists disputes_count integer not null default 0,
+  add column if not exists verified_by uuid,
+  add column if not exists verified_at timestamptz;
+
+update ground_updates set confidence = 0.5 where confidence is null;
+
+create index if not exists ground_updates_verification_idx
+  on ground_updates(verification_status, created_at);
+
+-- One stance per person per update; changing your mind overwrites it
+create table if not exists ground_corroborations (
+  id uuid primary key default gen_random_uuid(),
+  ground_id uuid not null references ground_updates(id) on delete cascade,
+  user_id uuid not null references users(id) on delete cascade,
+  stance text not null check (stance in ('corroborate', 'dispute')),
+  distance_km numeric(6, 1),
+  created_at timestamptz not null default now(),
+  unique (ground_id, user_id)
+);
+
+create table if not exists ground_verifications (
+  id uuid primary key default gen_random_uuid(),
+  ground_id uuid not null references ground_updates(id) on delete cascade,
+  actor_id uuid not null references users(id),
+  status text not null check (status in ('verified', 'false', 'unverified')),
+  note text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists ground_verifications_ground_idx
+  on ground_verifications(ground_id, created_at);
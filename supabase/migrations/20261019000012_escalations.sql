@@ -0,0 +1,73 @@
+-- Escalation of high-severity ground reports. Rules live in
+-- data/escalation/rules.json; these tables track what tripped, who was told
+-- and who acknowledged.
+create table if not exists escalation_responders (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  email text,
+  webhook_url text,
+  county_code char(3),
+  active boolean not null default true,
+  created_by uuid references users(id),
+  created_at timestamptz not null default now(),
+  check (email is not null or webhook_url is not null)
+);
+
+create table if not exists escalations (
+  id uuid primary key default gen_random_uuid(),
+  rule_id text not null,
+  rule_name text not null,
+  severity text not null check (severity in ('high', 'critical')),
+  scope text not null check (scope in ('ward', 'constituency', 'county')),
+  scope_code text not null,
+  area_name text not null,
+  county_code char(3),
+  categories text[] not null,
+  threshold integer not null,
+  window_minutes integer not null,
+  report_count integer not null default 0,
+  status text not null default 'open' check (status in ('open', 'acknowledged', 'resolved')),
+  first_report_at timestamptz not null,
+  last_report_at timestamptz not null,
+  acknowledged_at timestamptz,
+  resolved_at timestamptz,
+  resolved_by uuid references users(id),
+  resolution_note text,
+  created_at timestamptz not null default now()
+);
+
+-- Only one live escalation per rule and area; new reports join it
+create unique index if not exists escalations_live_idx
+  on escalations(rule_id, scope_code)
+  where status in ('open', 'acknowledged');
+
+create index if not exists escalations_status_idx on escalations(status, last_report_at);
+
+create table if not exists escalation_reports (
+  escalation_id uuid not null references escalations(id) on delete cascade,
+  ground_id uuid not null references ground_updates(id) on delete cascade,
+  primary key (escalation_id, ground_id)
+);
+
+-- One row per responder per escalation. Only the hash of the
+-- acknowledgement token is stored.
+create table if not exists escalation_notifications (
+  id uuid primary key default gen_random_uuid(),
+  escalation_id uuid not null references escalations(id) on delete cascade,
+  responder_id uuid not null references escalation_responders(id) on delete cascade,
+  email_status text check (email_status in ('sent', 'failed')),
+  webhook_status text check (webhook_status in ('sent', 'failed')),
+  error text,
+  ack_token_hash text not null unique,
+  acknowledged_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists escalation_acknowledgements (
+  id uuid primary key default gen_random_uuid(),
+  escalation_id uuid not null references escalations(id) on delete cascade,
+  responder_id uuid references escalation_responders(id) on delete set null,
+  user_id uuid references users(id) on delete set null,
+  note text,
+  created_at timestamptz not null default now()
+);
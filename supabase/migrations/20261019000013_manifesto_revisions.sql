@@ -0,0 +1,35 @@
+-- Manifesto edits and withdrawals, with an append-only revision history.
+alter table manifestos
+  add column if not exists edited_at timestamptz,
+  add column if not exists deleted_at timestamptz;
+
+create table if not exists manifesto_revisions (
+  id uuid primary key default gen_random_uuid(),
+  manifesto_id uuid not null references manifestos(id) on delete restrict,
+  revision integer not null,
+  action text not null check (action in ('created', 'edited', 'withdrawn')),
+  category text not null,
+  content text not null,
+  edited_by uuid references users(id),
+  created_at timestamptz not null default now(),
+  unique (manifesto_id, revision)
+);
+
+-- Revisions are evidence; nobody, not even the service role, rewrites them.
+create or replace function manifesto_revisions_immutable() returns trigger as $$
+begin
+  raise exception 'manifesto revisions cannot be changed or deleted';
+end;
+$$ language plpgsql;
+
+drop trigger if exists manifesto_revisions_immutable on manifesto_revisions;
+create trigger manifesto_revisions_immutable
+  before update or delete on manifesto_revisions
+  for each row execute function manifesto_revisions_immutable();
+
+-- Existing manifestos start their history at their current wording
+insert into manifesto_revisions (manifesto_id, revision, action, category, content, edited_by, created_at)
+  select m.id, 1, 'created', m.category, m.content, p.user_id, m.created_at
+  from manifestos m
+  left join politician_profiles p on p.id = m.politician_id
+  where not exists (select 1 from manifesto_revisions r where r.manifesto_id = m.id);
@@ -0,0 +1,52 @@
+-- Structured campaign promises with a status lifecycle, evidence and an
+-- append-only log of status changes.
+alter table promises
+  add column if not exists manifesto_id uuid references manifestos(id) on delete set null,
+  add column if not exists category text,
+  add column if not exists outcome text,
+  add column if not exists target_date date,
+  add column if not exists status text not null default 'pledged'
+    check (status in ('pledged', 'in_progress', 'fulfilled', 'broken')),
+  add column if not exists status_changed_at timestamptz,
+  add column if not exists moderation_status text not null default 'visible';
+
+create index if not exists promises_politician_idx on promises(politician_id, status);
+
+create table if not exists promise_status_changes (
+  id uuid primary key default gen_random_uuid(),
+  promise_id uuid not null references promises(id) on delete cascade,
+  from_status text,
+  to_status text not null,
+  actor_id uuid references users(id) on delete set null,
+  note text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists promise_status_changes_promise_idx
+  on promise_status_changes(promise_id, created_at);
+
+create table if not exists promise_evidence (
+  id uuid primary key default gen_random_uuid(),
+  promise_id uuid not null references promises(id) on delete cascade,
+  user_id uuid not null references users(id) on delete cascade,
+  shows text not null check (shows in ('in_progress', 'fulfilled', 'broken')),
+  summary text not null,
+  url text,
+  moderation_status text not null default 'visible',
+  created_at timestamptz not null default now()
+);
+
+create index if not exists promise_evidence_promise_idx on promise_evidence(promise_id, created_at);
+
+-- Evidence can carry photos and video, be moderated and be reported
+alter table media drop constraint if exists media_target_type_check;
+alter table media add constraint media_target_type_check
+  check (target_type in ('ground_update', 'ground_comment', 'promise_evidence'));
+
+alter table moderation_queue drop constraint if exists moderation_queue_target_type_check;
+alter table moderation_queue add constraint moderation_queue_target_type_check
+  check (target_type in ('manifesto', 'comment', 'ground_update', 'ground_comment', 'promise', 'promise_evidence'));
+
+alter table reports drop constraint if exists reports_target_type_check;
+alter table reports add constraint reports_target_type_check
+  check (target_type in ('manifesto', 'comment', 'ground_update', 'ground_comment', 'politician_profile', 'promise', 'promise_evidence'));
@@ -0,0 +1,47 @@
+-- Ratings on politicians, achievements and promises as well as manifestos,
+-- one per person per target, plus review of suspicious rating bursts.
+
+-- Older clients could upsert without a conflict target, so keep only each
+-- person's latest rating before enforcing uniqueness.
+delete from ratings r
+using ratings newer
+where r.user_id = newer.user_id
+  and r.target_type = newer.target_type
+  and r.target_id = newer.target_id
+  and r.ctid < newer.ctid;
+
+alter table ratings
+  add column if not exists updated_at timestamptz not null default now(),
+  add column if not exists suspect boolean not null default false;
+
+alter table ratings drop constraint if exists ratings_target_type_check;
+alter table ratings add constraint ratings_target_type_check
+  check (target_type in ('manifesto', 'politician', 'achievement', 'promise'));
+
+alter table ratings drop constraint if exists ratings_rating_check;
+alter table ratings add constraint ratings_rating_check
+  check (rating between 1 and 5);
+
+create unique index if not exists ratings_user_target_key
+  on ratings(user_id, target_type, target_id);
+
+create index if not exists ratings_target_idx
+  on ratings(target_type, target_id, updated_at);
+
+-- Opened when a target gets a run of ratings from young accounts. Only one
+-- open burst per target; later ratings refresh it.
+create table if not exists rating_bursts (
+  id uuid primary key default gen_random_uuid(),
+  target_type text not null,
+  target_id uuid not null,
+  rating_ids uuid[] not null default '{}',
+  rating_count integer not null default 0,
+  status text not null default 'open' check (status in ('open', 'dismissed', 'discarded')),
+  reviewed_by uuid references users(id),
+  reviewed_at timestamptz,
+  created_at timestamptz not null default now(),
+  last_seen_at timestamptz not null default now()
+);
+
+create unique index if not exists rating_bursts_open_key
+  on rating_bursts(target_type, target_id) where status = 'open';
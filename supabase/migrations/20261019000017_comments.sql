@@ -0,0 +1,57 @@
+-- One comments table for every target: manifestos, politician profiles,
+-- achievements, promises and ground updates. Ground update comments move
+-- over from ground_comments, keeping their ids so media, moderation and
+-- reports can simply be repointed.
+alter table comments
+  add column if not exists parent_id uuid references comments(id) on delete cascade,
+  add column if not exists edited_at timestamptz,
+  add column if not exists deleted_at timestamptz,
+  add column if not exists upvotes integer not null default 0,
+  add column if not exists downvotes integer not null default 0,
+  add column if not exists score integer not null default 0;
+
+alter table comments drop constraint if exists comments_target_type_check;
+alter table comments add constraint comments_target_type_check
+  check (target_type in ('manifesto', 'politician', 'achievement', 'promise', 'ground_update'));
+
+insert into comments (id, user_id, target_type, target_id, parent_id, content,
+                      moderation_status, created_at, edited_at, deleted_at)
+select id, user_id, 'ground_update', ground_id, parent_id, content,
+       moderation_status, created_at, edited_at, deleted_at
+from ground_comments
+order by parent_id nulls first, created_at;
+
+alter table media drop constraint if exists media_target_type_check;
+update media set target_type = 'comment' where target_type = 'ground_comment';
+alter table media add constraint media_target_type_check
+  check (target_type in ('ground_update', 'comment', 'promise_evidence'));
+
+update moderation_queue set target_type = 'comment' where target_type = 'ground_comment';
+update reports set target_type = 'comment' where target_type = 'ground_comment';
+
+drop table ground_comments;
+
+create index if not exists comments_thread_idx
+  on comments(target_type, target_id, parent_id, created_at, id);
+
+create index if not exists comments_top_idx
+  on comments(target_type, target_id, score desc, created_at desc, id desc)
+  where parent_id is null;
+
+create index if not exists comments_replies_idx on comments(parent_id, created_at);
+
+-- One vote per person per comment; the API keeps the totals on comments
+create table if not exists comment_votes (
+  comment_id uuid not null references comments(id) on delete cascade,
+  user_id uuid not null references users(id) on delete cascade,
+  vote smallint not null check (vote in (-1, 1)),
+  created_at timestamptz not null default now(),
+  primary key (comment_id, user_id)
+);
+
+-- Live comments per target, for feed cards
+create or replace view comment_counts as
+select target_type, target_id, count(*)::integer as count
+from comments
+where moderation_status = 'visible' and deleted_at is null
+group by target_type, target_id;
@@ -0,0 +1,47 @@
+-- Email notifications: per-user language and preferences, and a persistent
+-- delivery queue the API retries from with backoff.
+alter table users
+  add column if not exists locale text not null default 'en' check (locale in ('en', 'sw'));
+
+-- Only opt-outs and opt-ins that differ from the default are stored
+create table if not exists notification_preferences (
+  user_id uuid not null references users(id) on delete cascade,
+  category text not null,
+  email boolean not null,
+  updated_at timestamptz not null default now(),
+  primary key (user_id, category)
+);
+
+-- Rendered at enqueue time so a retry sends exactly what was first attempted
+create table if not exists notification_queue (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid references users(id) on delete set null,
+  to_address text not null,
+  template text not null,
+  locale text not null,
+  subject text not null,
+  html text not null,
+  text text not null,
+  headers jsonb,
+  status text not null default 'pending' check (status in ('pending', 'sending', 'sent', 'failed')),
+  attempts integer not null default 0,
+  last_error text,
+  next_attempt_at timestamptz not null default now(),
+  claimed_at timestamptz,
+  sent_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists notification_queue_due_idx
+  on notification_queue(next_attempt_at) where status = 'pending';
+
+create index if not exists notification_queue_status_idx
+  on notification_queue(status, created_at desc);
+
+-- Escalation emails now go through the queue
+alter table escalation_notifications
+  add column if not exists notification_id uuid references notification_queue(id) on delete set null;
+
+alter table escalation_notifications drop constraint if exists escalation_notifications_email_status_check;
+alter table escalation_notifications add constraint escalation_notifications_email_status_check
+  check (email_status in ('queued', 'sent', 'failed'));
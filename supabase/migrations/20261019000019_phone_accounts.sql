@@ -0,0 +1,15 @@
+-- Accounts reached over SMS/USSD are identified by their phone number
+-- (E.164, +254...). Numbers supplied by the mobile network in a gateway
+-- callback count as verified. Such accounts may have no email or password.
+alter table users
+  add column if not exists phone text,
+  add column if not exists phone_verified boolean not null default false;
+
+create unique index if not exists users_phone_key on users(phone) where phone is not null;
+
+alter table users alter column email drop not null;
+alter table users alter column password_hash drop not null;
+
+alter table users drop constraint if exists users_contact_check;
+alter table users add constraint users_contact_check
+  check (email is not null or phone is not null);
@@ -0,0 +1,17 @@
+-- One-time codes sent by SMS or email for phone sign-up, login, linking a
+-- phone or email, and password resets. Only hashes are stored.
+create table if not exists otp_codes (
+  id uuid primary key default gen_random_uuid(),
+  channel text not null check (channel in ('sms', 'email')),
+  destination text not null,
+  purpose text not null check (purpose in ('register', 'login', 'link_phone', 'link_email', 'reset')),
+  user_id uuid references users(id) on delete cascade,
+  payload jsonb,
+  code_hash text not null,
+  expires_at timestamptz not null,
+  consumed_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists otp_codes_lookup_idx
+  on otp_codes(destination, purpose, created_at desc);
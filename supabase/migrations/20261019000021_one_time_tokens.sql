@@ -0,0 +1,18 @@
+-- Email verification and password resets move to otp_codes: emailed codes
+-- also carry a magic-link token, stored as a hash like the code. The old
+-- plaintext code columns on users are dropped; anyone mid-sign-up asks for
+-- a new code from the verify page.
+alter table otp_codes add column if not exists token_hash text;
+
+create unique index if not exists otp_codes_token_idx
+  on otp_codes(token_hash) where token_hash is not null;
+
+alter table otp_codes drop constraint if exists otp_codes_purpose_check;
+alter table otp_codes add constraint otp_codes_purpose_check
+  check (purpose in ('register', 'verify_email', 'login', 'link_phone', 'link_email', 'reset'));
+
+alter table users
+  drop column if exists verify_code,
+  drop column if exists verify_code_expires,
+  drop column if exists reset_code,
+  drop column if exists reset_code_expires;
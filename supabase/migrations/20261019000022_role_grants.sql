@@ -0,0 +1,44 @@
+-- Roles must be earned, not self-selected. The original sign-up form let
+-- anyone post a role (including "admin"), so stored roles are re-checked:
+--
+--   politician         kept only with an approved politician application
+--   moderator / admin  kept only with a row in role_grants
+--
+-- Everything else becomes "citizen". Record genuine staff BEFORE applying,
+-- in the same run, e.g.
+--
+--   insert into role_grants (user_id, role, note)
+--   select id, 'admin', 'existing staff' from users where email = 'ops@example.org';
+--
+-- (the table is created first so that works), or restore them afterwards
+-- with scripts/grant-role.js.
+create table if not exists role_grants (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users(id) on delete cascade,
+  role text not null check (role in ('moderator', 'admin')),
+  granted_by uuid references users(id) on delete set null,
+  note text,
+  created_at timestamptz not null default now(),
+  unique (user_id, role)
+);
+
+update users u
+set role = 'citizen'
+where u.role = 'politician'
+  and not exists (
+    select 1 from politician_applications a
+    where a.user_id = u.id and a.status = 'approved'
+  );
+
+update users u
+set role = 'citizen'
+where u.role in ('moderator', 'admin')
+  and not exists (
+    select 1 from role_grants g
+    where g.user_id = u.id and g.role = u.role
+  );
+
+-- Legacy and made-up values ("voter", "superuser", ...)
+update users
+set role = 'citizen'
+where role is null or role not in ('citizen', 'politician', 'moderator', 'admin');
@@ -0,0 +1,41 @@
+-- Manifesto revisions are written by the database in the same statement as
+-- the change they record, so an edit can never go live without its history
+-- row. Writers set manifestos.edited_by to say who made the change.
+--
+--   insert                          -> 'created'
+--   deleted_at set                  -> 'withdrawn'
+--   category or content changed     -> 'edited'
+--
+-- Other updates (moderation status, counters) don't add a revision. The
+-- updated row stays locked until the transaction ends, so concurrent edits
+-- queue up and take consecutive revision numbers.
+alter table manifestos
+  add column if not exists edited_by uuid references users(id);
+
+create or replace function record_manifesto_revision() returns trigger as $$
+declare
+  next_action text;
+begin
+  if tg_op = 'INSERT' then
+    next_action := 'created';
+  elsif new.deleted_at is not null and old.deleted_at is null then
+    next_action := 'withdrawn';
+  elsif new.category is distinct from old.category or new.content is distinct from old.content then
+    next_action := 'edited';
+  else
+    return new;
+  end if;
+
+  insert into manifesto_revisions (manifesto_id, revision, action, category, content, edited_by)
+    select new.id, coalesce(max(r.revision), 0) + 1, next_action, new.category, new.content, new.edited_by
+    from manifesto_revisions r
+    where r.manifesto_id = new.id;
+
+  return new;
+end;
+$$ language plpgsql;
+
+drop trigger if exists record_manifesto_revision on manifestos;
+create trigger record_manifesto_revision
+  after insert or update on manifestos
+  for each row execute function record_manifesto_revision();
@@ -0,0 +1,93 @@
+-- Manifesto search results only come from verified politicians whose
+-- profiles are visible, the same rule the politician results follow. The
+-- function is otherwise unchanged from 20261019000015_search.sql.
+create or replace function search_content(
+  q text,
+  kinds text[] default array['politician', 'manifesto', 'ground_update'],
+  p_seat text default null,
+  p_county_code text default null,
+  p_party text default null,
+  p_category text default null,
+  p_limit integer default 20,
+  p_offset integer default 0
+)
+returns table (
+  kind text,
+  id uuid,
+  politician_id uuid,
+  title text,
+  body text,
+  seat text,
+  county text,
+  party text,
+  category text,
+  created_at timestamptz,
+  rank real
+)
+language sql stable
+as $$
+  with query as (select websearch_to_tsquery('simple', q) as tsq)
+
+  select * from (
+    select
+      'politician'::text as kind,
+      p.id as id,
+      p.id as politician_id,
+      p.full_name as title,
+      p.bio as body,
+      p.seat as seat,
+      p.county as county,
+      p.party as party,
+      null::text as category,
+      null::timestamptz as created_at,
+      (ts_rank_cd(p.search_vector, query.tsq) * 2 +
+        greatest(word_similarity(q, p.full_name), word_similarity(q, coalesce(p.party, ''))))::real as rank
+    from politician_profiles p, query
+    where 'politician' = any(kinds)
+      and p.is_verified
+      and p.moderation_status = 'visible'
+      and (p.search_vector @@ query.tsq or q <% p.full_name or q <% coalesce(p.party, ''))
+      and (p_seat is null or p.seat = p_seat)
+      and (p_county_code is null or p.county_code = p_county_code)
+      and (p_party is null or p.party ilike p_party)
+      and p_category is null
+
+    union all
+
+    select
+      'manifesto'::text, m.id, p.id, p.full_name, m.content, p.seat, p.county, p.party,
+      m.category, m.created_at,
+      (ts_rank_cd(m.search_vector, query.tsq) + word_similarity(q, m.content) * 0.5)::real
+    from manifestos m
+    join politician_profiles p on p.id = m.politician_id, query
+    where 'manifesto' = any(kinds)
+      and m.moderation_status = 'visible'
+      and m.deleted_at is null
+      and p.is_verified
+      and p.moderation_status = 'visible'
+      and (m.search_vector @@ query.tsq or q <% m.content)
+      and (p_seat is null or p.seat = p_seat)
+      and (p_county_code is null or p.county_code = p_county_code)
+      and (p_party is null or p.party ilike p_party)
+      and (p_category is null or m.category = p_category)
+
+    union all
+
+    select
+      'ground_update'::text, g.id, null::uuid, g.location, g.content, null::text, null::text, null::text,
+      g.category, g.created_at,
+      (ts_rank_cd(g.search_vector, query.tsq) +
+        greatest(word_similarity(q, g.content), word_similarity(q, g.location)) * 0.5)::real
+    from ground_updates g, query
+    where 'ground_update' = any(kinds)
+      and g.moderation_status = 'visible'
+      and g.repost_of is null
+      and (g.search_vector @@ query.tsq or q <% g.content or q <% g.location)
+      and p_seat is null
+      and p_party is null
+      and (p_county_code is null or g.county_code = p_county_code)
+      and (p_category is null or g.category = p_category)
+  ) results
+  order by rank desc, created_at desc nulls last
+  limit p_limit offset p_offset;
+$$;
@@ -0,0 +1,19 @@
+-- Queued emails carrying a one-time code or link expire with the code. Once
+-- it has expired, or delivery is given up on, the body is wiped so no live
+-- secret is left sitting in the queue.
+alter table notification_queue
+  add column if not exists expires_at timestamptz;
+
+create index if not exists notification_queue_expiry_idx
+  on notification_queue(expires_at) where status = 'pending';
+
+-- Code emails queued before this change have no expires_at. Those older than
+-- the 30-minute code lifetime are dropped and wiped here.
+update notification_queue
+  set status = case when status = 'pending' then 'failed' else status end,
+      last_error = case when status = 'pending' then 'Expired before it could be sent' else last_error end,
+      html = '',
+      text = ''
+  where template in ('verify_email', 'reset_password')
+    and status in ('pending', 'failed')
+    and created_at < now() - interval '30 minutes';
@@ -0,0 +1,15 @@
+-- Achievements, politician profile text and applications go through
+-- moderation like everything else users write. Achievements are public
+-- targets for ratings and comments, so only 'visible' ones are shown.
+-- Held applications can't be approved until a moderator releases them.
+alter table achievements
+  add column if not exists moderation_status text not null default 'visible';
+alter table politician_applications
+  add column if not exists moderation_status text not null default 'visible';
+
+alter table moderation_queue drop constraint if exists moderation_queue_target_type_check;
+alter table moderation_queue add constraint moderation_queue_target_type_check
+  check (target_type in (
+    'manifesto', 'comment', 'ground_update', 'promise', 'promise_evidence',
+    'achievement', 'politician_profile', 'politician_application'
+  ));
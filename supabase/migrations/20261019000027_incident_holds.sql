@@ -0,0 +1,5 @@
+-- Ground updates held only because they describe violence (see targets in
+-- data/moderation/lexicons.json) still count towards escalations while a
+-- moderator looks at them.
+alter table ground_updates
+  add column if not exists incident_hold boolean not null default false;
@@ -0,0 +1,200 @@
+import crypto from "crypto";
+import { supabase } from "./supabase.js";
+
+const ACCESS_TTL = Number(process.env.ACCESS_TOKEN_TTL || 15 * 60); // seconds
+const REFRESH_TTL = Number(process.env.REFRESH_TOKEN_TTL || 30 * 24 * 60 * 60);
+
+function secret() {
+  if (!process.env.JWT_SECRET) {
+    throw new Error("JWT_SECRET is not set");
+  }
+  return process.env.JWT_SECRET;
+}
+
+function sign(data) {
+  return crypto.createHmac("sha256", secret()).update(data).digest("base64url");
+}
+
+export function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/* =========================
+   ACCESS TOKENS (HS256 JWT)
+========================= */
+export function signAccessToken(claims) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = Buffer.from(JSON.stringify({ alg: "HS256", typ: "JWT" })).toString("base64url");
+  const body = Buffer.from(JSON.stringify({
+    ...claims,
+    iat: now,
+    exp: now + ACCESS_TTL
+  })).toString("base64url");
+
+  return `${header}.${body}.${sign(`${header}.${body}`)}`;
+}
+
+// Returns the claims, or null if the token is malformed, forged or expired.
+export function verifyAccessToken(token) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) return null;
+
+  const [header, body, signature] = parts;
+  const expected = Buffer.from(sign(`${header}.${body}`));
+  const given = Buffer.from(signature);
+
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(body, "base64url").toString());
+    if (!claims.exp || claims.exp < Math.floor(Date.now() / 1000)) return null;
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+/* =========================
+   SESSIONS
+========================= */
+function tokenPair(session, user) {
+  return {
+    access_token: signAccessToken({ sub: user.id, sid: session.id, role: user.role }),
+    refresh_token: session.refresh_token,
+    expires_in: ACCESS_TTL
+  };
+}
+
+// Creates a session row and returns a fresh access/refresh token pair.
+export async function issueSession(user) {
+  const refresh_token = crypto.randomBytes(32).toString("base64url");
+
+  const { data: session, error } = await supabase
+    .from("sessions")
+    .insert([{
+      user_id: user.id,
+      refresh_token_hash: hashToken(refresh_token),
+      expires_at: new Date(Date.now() + REFRESH_TTL * 1000)
+    }])
+    .select("id")
+    .single();
+
+  if (error) throw new Error(error.message);
+
+  return tokenPair({ id: session.id, refresh_token }, user);
+}
+
+// Rotates the refresh token. Returns null if it is unknown, expired,
+// revoked or belongs to a suspended account.
+export async function refreshSession(refresh_token) {
+  const { data: session } = await supabase
+    .from("sessions")
+    .select("id, expires_at, revoked_at, users(id, role, is_active)")
+    .eq("refresh_token_hash", hashToken(refresh_token))
+    .single();
+
+  if (
+    !session ||
+    session.revoked_at ||
+    new Date() > new Date(session.expires_at) ||
+    !session.users?.is_active
+  ) {
+    return null;
+  }
+
+  const next = crypto.randomBytes(32).toString("base64url");
+
+  await supabase.from("sessions").update({
+    refresh_token_hash: hashToken(next),
+    last_used_at: new Date()
+  }).eq("id", session.id);
+
+  return tokenPair({ id: session.id, refresh_token: next }, session.users);
+}
+
+export async function revokeSession(session_id) {
+  await supabase.from("sessions")
+    .update({ revoked_at: new Date() })
+    .eq("id", session_id)
+    .is("revoked_at", null);
+}
+
+export async function revokeAllSessions(user_id) {
+  await supabase.from("sessions")
+    .update({ revoked_at: new Date() })
+    .eq("user_id", user_id)
+    .is("revoked_at", null);
+}
+
+/* =========================
+   MIDDLEWARE
+========================= */
+function bearer(req) {
+  const header = req.headers.authorization || "";
+  return header.startsWith("Bearer ") ? header.slice(7).trim() : null;
+}
+
+// Resolves the caller from the access token. The session and account are
+// re-read on every request so logout and suspension take effect at once.
+async function resolveUser(token) {
+  const claims = verifyAccessToken(token);
+  if (!claims) return { status: 401, error: "Invalid or expired token" };
+
+  const { data: session } = await supabase
+    .from("sessions")
+    .select("id, revoked_at, users(id, username, email, role, is_active)")
+    .eq("id", claims.sid)
+    .single();
+
+  if (!session || session.revoked_at || !session.users || session.users.id !== claims.sub) {
+    return { status: 401, error: "Session has ended, please log in again" };
+  }
+
+  if (!session.users.is_active) {
+    return { status: 403, error: "Account is suspended" };
+  }
+
+  const { is_active, ...user } = session.users;
+  return { user, session_id: session.id };
+}
+
+export async function requireAuth(req, res, next) {
+  const token = bearer(req);
+  if (!token) {
+    return res.status(401).json({ error: "Authentication required" });
+  }
+
+  try {
+    const result = await resolveUser(token);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    req.user = result.user;
+    req.session_id = result.session_id;
+    next();
+  } catch (err) {
+    res.status(500).json({ error: "Server error" });
+  }
+}
+
+// Like requireAuth, but lets anonymous callers through. A missing or bad
+// token simply leaves req.user unset.
+export async function optionalAuth(req, res, next) {
+  const token = bearer(req);
+  if (!token) return next();
+
+  try {
+    const result = await resolveUser(token);
+    if (!result.error) {
+      req.user = result.user;
+      req.session_id = result.session_id;
+    }
+  } catch (err) {
+    // fall through as anonymous
+  }
+
+  next();
+}
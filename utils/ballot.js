@@ -0,0 +1,104 @@
+import { supabase } from "./supabase.js";
+import { candidateRatings } from "./ratings.js";
+
+/*
+ * "Who is on my ballot": every approved candidate a voter in one ward will
+ * see, grouped by seat in the order the six IEBC ballot papers are handed
+ * out, with a short summary of each candidate's manifestos and ratings.
+ */
+
+export const BALLOT_ORDER = ["President", "Governor", "Senator", "Woman Rep", "MP", "MCA"];
+
+const EXCERPT_LENGTH = 160;
+
+// PostgREST filter matching candidates for the seats that cover this area.
+// Seats finer than the area given (no ward -> no MCA) are left out.
+function seatFilter({ county, constituency, ward }) {
+  const clauses = ["seat.eq.President"];
+  if (county) clauses.push(`and(seat.in.(Governor,Senator,"Woman Rep"),county_code.eq.${county.code})`);
+  if (constituency) clauses.push(`and(seat.eq.MP,constituency_code.eq.${constituency.code})`);
+  if (ward) clauses.push(`and(seat.eq.MCA,ward_code.eq.${ward.code})`);
+  return clauses.join(",");
+}
+
+function excerpt(text) {
+  const clean = String(text || "").replace(/\s+/g, " ").trim();
+  if (clean.length <= EXCERPT_LENGTH) return clean;
+  // Cut at the last word break, or mid-word when there is none
+  const cut = clean.lastIndexOf(" ", EXCERPT_LENGTH);
+  return clean.slice(0, cut > 0 ? cut : EXCERPT_LENGTH) + "…";
+}
+
+// The latest manifesto in each category, cut down to an excerpt
+function manifestoSummary(manifestos) {
+  const latest = new Map();
+  for (const m of manifestos) {
+    if (!latest.has(m.category)) latest.set(m.category, m);
+  }
+
+  return [...latest.values()].map(m => ({
+    manifesto_id: m.id,
+    category: m.category,
+    excerpt: excerpt(m.content)
+  }));
+}
+
+/*
+ * Builds the ballot for a resolved area ({ county, constituency, ward } as
+ * returned by resolveLocation). Every seat is present, even when nobody
+ * has been approved for it yet.
+ */
+export async function ballotFor(area) {
+  const { data: candidates, error } = await supabase
+    .from("politician_profiles")
+    .select("id, full_name, seat, party, county, constituency, ward")
+    .eq("is_verified", true)
+    .eq("moderation_status", "visible")
+    .or(seatFilter(area))
+    .order("full_name", { ascending: true });
+
+  if (error) throw new Error(error.message);
+
+  const ids = candidates.map(c => c.id);
+
+  const { data: manifestos } = ids.length
+    ? await supabase
+      .from("manifestos")
+      .select("id, politician_id, category, content")
+      .in("politician_id", ids)
+      .eq("moderation_status", "visible")
+      .is("deleted_at", null)
+      .order("created_at", { ascending: false })
+    : { data: [] };
+
+  const ratings = await candidateRatings(ids, manifestos || []);
+
+  const group = (rows, key) => {
+    const map = new Map();
+    for (const row of rows) {
+      const k = key(row);
+      if (!map.has(k)) map.set(k, []);
+      map.get(k).push(row);
+    }
+    return map;
+  };
+
+  const manifestosBy = group(manifestos || [], m => m.politician_id);
+
+  return BALLOT_ORDER.map(seat => {
+    const available = seat === "President" ||
+      (seat === "MP" ? !!area.constituency : seat === "MCA" ? !!area.ward : !!area.county);
+
+    return {
+      seat,
+      available,
+      candidates: candidates
+        .filter(c => c.seat === seat)
+        .map(c => ({
+          ...c,
+          manifestos: manifestoSummary(manifestosBy.get(c.id) || []),
+          ...ratings.get(c.id)
+        }))
+    };
+  });
+}
@@ -0,0 +1,312 @@
+import { supabase } from "./supabase.js";
+import { CONTENT_TARGETS } from "./targets.js";
+import { mediaFor } from "./media.js";
+import { roleOf } from "./permissions.js";
+import { notifyUser } from "./notifications.js";
+
+/*
+ * Comments on anything public: manifestos, politician profiles,
+ * achievements, promises and ground updates all share the comments table,
+ * keyed by (target_type, target_id).
+ *
+ * Threads are two levels deep: a reply to a reply joins the root's thread.
+ * Authors may edit for EDIT_WINDOW_MINUTES after posting. Deletes are soft
+ * so a thread keeps its shape. Votes are one per person per comment and the
+ * totals are stored on the comment so "top" can be sorted in the database.
+ */
+
+export const COMMENT_TARGETS = CONTENT_TARGETS;
+
+export const COMMENT_MAX = 1000;
+
+export const COMMENT_SORTS = ["newest", "oldest", "top"];
+
+export const EDIT_WINDOW_MINUTES = Number(process.env.COMMENT_EDIT_WINDOW_MINUTES) || 15;
+
+export const COMMENT_FIELDS = `
+  id,
+  target_type,
+  target_id,
+  parent_id,
+  user_id,
+  content,
+  created_at,
+  edited_at,
+  deleted_at,
+  upvotes,
+  downvotes,
+  score,
+  users(username, role)
+`;
+
+export function editableUntil(comment) {
+  return new Date(new Date(comment.created_at).getTime() + EDIT_WINDOW_MINUTES * 60e3);
+}
+
+export function canEdit(comment, now = new Date()) {
+  return !comment.deleted_at && now < editableUntil(comment);
+}
+
+/* =========================
+   SORTING & CURSORS
+   newest / oldest page over (created_at, id); top over (score, created_at,
+   id). The cursor carries the sort it was made for.
+========================= */
+const ORDER = {
+  newest: [["created_at", false], ["id", false]],
+  oldest: [["created_at", true], ["id", true]],
+  top: [["score", false], ["created_at", false], ["id", false]]
+};
+
+function encodeCursor(sort, row) {
+  return Buffer.from(JSON.stringify([sort, ...ORDER[sort].map(([col]) => row[col])])).toString("base64url");
+}
+
+function decodeCursor(sort, cursor) {
+  try {
+    const [made, ...values] = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+    if (made !== sort || values.length !== ORDER[sort].length) return null;
+    if (values.some(v => v === null || v === undefined)) return null;
+    return values;
+  } catch {
+    return null;
+  }
+}
+
+// Orders the query for `sort` and skips to after the cursor. Throws
+// RangeError on a bad sort or cursor so routes can answer 400.
+export function sortComments(query, sort, cursor) {
+  if (!ORDER[sort]) throw new RangeError(`sort must be one of ${COMMENT_SORTS.join(", ")}`);
+
+  for (const [col, ascending] of ORDER[sort]) query = query.order(col, { ascending });
+  if (!cursor) return query;
+
+  const values = decodeCursor(sort, cursor);
+  if (!values) throw new RangeError("Invalid cursor");
+
+  // (a > x) or (a = x and b > y) or ..., for mixed directions
+  const value = v => (typeof v === "string" ? `"${v}"` : v);
+  const clauses = ORDER[sort].map(([col, ascending], i) => {
+    const equal = ORDER[sort].slice(0, i).map(([c], j) => `${c}.eq.${value(values[j])}`);
+    const past = `${col}.${ascending ? "gt" : "lt"}.${value(values[i])}`;
+    return equal.length ? `and(${[...equal, past].join(",")})` : past;
+  });
+
+  return query.or(clauses.join(","));
+}
+
+/* =========================
+   PRESENTATION
+========================= */
+
+// Politicians, moderators and admins are labelled so readers can tell an
+// official answer from the crowd. Politicians link to their profile.
+async function authorLabels(rows) {
+  const politicians = [...new Set(rows.filter(c => c.users?.role === "politician").map(c => c.user_id))];
+
+  const { data: profiles } = politicians.length
+    ? await supabase
+      .from("politician_profiles")
+      .select("id, user_id")
+      .in("user_id", politicians)
+      .eq("is_verified", true)
+    : { data: [] };
+
+  const profileOf = new Map((profiles || []).map(p => [p.user_id, p.id]));
+
+  return c => {
+    const role = roleOf(c.users);
+    const politician_id = profileOf.get(c.user_id) || null;
+    const label = role === "admin" ? "admin"
+      : role === "moderator" ? "moderator"
+      : politician_id ? "politician"
+      : null;
+
+    return { user_id: c.user_id, username: c.users?.username || null, label, politician_id };
+  };
+}
+
+async function votesBy(user_id, ids) {
+  if (!user_id || !ids.length) return new Map();
+
+  const { data } = await supabase
+    .from("comment_votes")
+    .select("comment_id, vote")
+    .eq("user_id", user_id)
+    .in("comment_id", ids);
+
+  return new Map((data || []).map(v => [v.comment_id, v.vote]));
+}
+
+// Shapes rows for the API. Deleted comments stay as placeholders so
+// replies keep their context.
+export async function presentComments(rows, viewer) {
+  const ids = rows.map(c => c.id);
+  const [author, media, votes] = await Promise.all([
+    authorLabels(rows),
+    mediaFor("comment", ids),
+    votesBy(viewer?.id, ids)
+  ]);
+
+  return rows.map(({ users, user_id, ...c }) => {
+    const base = {
+      id: c.id,
+      parent_id: c.parent_id,
+      created_at: c.created_at,
+      upvotes: c.upvotes,
+      downvotes: c.downvotes,
+      score: c.score
+    };
+
+    if (c.deleted_at) return { ...base, deleted: true, content: null, author: null, media: [] };
+
+    return {
+      ...base,
+      deleted: false,
+      content: c.content,
+      edited_at: c.edited_at,
+      editable_until: editableUntil(c),
+      author: author({ users, user_id }),
+      media: media[c.id] || [],
+      my_vote: votes.get(c.id) || 0
+    };
+  });
+}
+
+/*
+ * One page of top-level comments on a target in the requested order, each
+ * with its replies oldest first.
+ */
+export async function listComments({ target_type, target_id, sort, cursor, limit, viewer }) {
+  const query = sortComments(
+    supabase
+      .from("comments")
+      .select(COMMENT_FIELDS)
+      .eq("target_type", target_type)
+      .eq("target_id", target_id)
+      .is("parent_id", null)
+      .eq("moderation_status", "visible"),
+    sort,
+    cursor
+  );
+
+  const { data: roots, error } = await query.limit(limit + 1);
+  if (error) throw new Error(error.message);
+
+  const items = roots.slice(0, limit);
+
+  const { data: replies } = items.length
+    ? await supabase
+      .from("comments")
+      .select(COMMENT_FIELDS)
+      .in("parent_id", items.map(c => c.id))
+      .eq("moderation_status", "visible")
+      .order("created_at", { ascending: true })
+    : { data: [] };
+
+  const shown = await presentComments([...items, ...(replies || [])], viewer);
+  const byId = new Map(shown.map(c => [c.id, c]));
+
+  return {
+    comments: items.map(c => ({
+      ...byId.get(c.id),
+      replies: shown.filter(r => r.parent_id === c.id)
+    })),
+    next_cursor: roots.length > limit ? encodeCursor(sort, items[items.length - 1]) : null
+  };
+}
+
+// Live comment counts for a page of targets of one type
+export async function commentCounts(target_type, ids) {
+  if (!ids.length) return {};
+
+  const { data } = await supabase
+    .from("comment_counts")
+    .select("target_id, count")
+    .eq("target_type", target_type)
+    .in("target_id", ids);
+
+  return Object.fromEntries((data || []).map(r => [r.target_id, r.count]));
+}
+
+/* =========================
+   THREADS & VOTES
+========================= */
+
+// The thread a new reply belongs to, or null if the parent isn't a visible
+// comment on this target
+export async function threadFor(parent_id, target_type, target_id) {
+  const { data: parent } = await supabase
+    .from("comments")
+    .select("id, parent_id, target_type, target_id")
+    .eq("id", parent_id)
+    .eq("moderation_status", "visible")
+    .is("deleted_at", null)
+    .maybeSingle();
+
+  if (!parent || parent.target_type !== target_type || parent.target_id !== target_id) return null;
+  if (!parent.parent_id) return parent.id;
+
+  // Replies hang off the thread's first comment, which must be visible too
+  const { data: root } = await supabase
+    .from("comments")
+    .select("id")
+    .eq("id", parent.parent_id)
+    .eq("moderation_status", "visible")
+    .is("deleted_at", null)
+    .maybeSingle();
+
+  return root?.id || null;
+}
+
+const REPLY_EXCERPT = 280;
+
+// Lets the author of the comment being answered know, unless it's their own
+export async function notifyReply(parent_id, replier, content) {
+  const { data: parent } = await supabase
+    .from("comments")
+    .select("user_id")
+    .eq("id", parent_id)
+    .single();
+
+  if (!parent || parent.user_id === replier.id) return null;
+
+  return notifyUser("comment_reply", parent.user_id, {
+    username: replier.username,
+    excerpt: content.length > REPLY_EXCERPT ? `${content.slice(0, REPLY_EXCERPT)}…` : content
+  });
+}
+
+async function refreshVotes(comment_id) {
+  const count = vote => supabase
+    .from("comment_votes")
+    .select("*", { count: "exact", head: true })
+    .eq("comment_id", comment_id)
+    .eq("vote", vote);
+
+  const [{ count: upvotes }, { count: downvotes }] = await Promise.all([count(1), count(-1)]);
+
+  await supabase
+    .from("comments")
+    .update({ upvotes, downvotes, score: upvotes - downvotes })
+    .eq("id", comment_id);
+
+  return { upvotes, downvotes, score: upvotes - downvotes };
+}
+
+// vote is 1, -1, or 0 to take a vote back
+export async function castVote(comment_id, user_id, vote) {
+  const { error } = vote
+    ? await supabase
+      .from("comment_votes")
+      .upsert([{ comment_id, user_id, vote }], { onConflict: "comment_id,user_id" })
+    : await supabase
+      .from("comment_votes")
+      .delete()
+      .eq("comment_id", comment_id)
+      .eq("user_id", user_id);
+
+  if (error) throw new Error(error.message);
+
+  return { ...(await refreshVotes(comment_id)), my_vote: vote };
+}
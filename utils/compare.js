@@ -0,0 +1,99 @@
+import { supabase } from "./supabase.js";
+import { SEAT_GEOGRAPHY } from "./geo.js";
+import { MANIFESTO_CATEGORIES } from "./manifestos.js";
+import { candidateRatings } from "./ratings.js";
+import { PROMISE_FIELDS, scorecard } from "./promises.js";
+
+/*
+ * Side-by-side comparison of candidates in the same race: their manifesto
+ * positions per category, ratings, promise record and achievements.
+ */
+
+export const MAX_COMPARE = 5;
+
+// The profile column that decides whether two candidates share a race
+const RACE_COLUMN = {
+  county: "county_code",
+  constituency: "constituency_code",
+  ward: "ward_code"
+};
+
+// Returns an error message if the candidates aren't running against each other
+export function checkSameRace(profiles) {
+  const seats = new Set(profiles.map(p => p.seat));
+  if (seats.size > 1) {
+    return `Only candidates for the same seat can be compared (got ${[...seats].join(", ")})`;
+  }
+
+  const level = SEAT_GEOGRAPHY[profiles[0].seat];
+  if (!level) return null;
+
+  const areas = new Set(profiles.map(p => p[RACE_COLUMN[level]]));
+  if (areas.size > 1) {
+    return `Only ${profiles[0].seat} candidates from the same ${level} can be compared`;
+  }
+
+  return null;
+}
+
+const byKey = (rows, key) => {
+  const map = new Map();
+  for (const row of rows || []) {
+    if (!map.has(row[key])) map.set(row[key], []);
+    map.get(row[key]).push(row);
+  }
+  return map;
+};
+
+/*
+ * Loads everything for the given (already validated) profiles. Candidates
+ * keep the order they were asked for in.
+ */
+export async function compareCandidates(profiles) {
+  const ids = profiles.map(p => p.id);
+
+  const [{ data: manifestos }, { data: promises }, { data: achievements }] = await Promise.all([
+    supabase
+      .from("manifestos")
+      .select("id, politician_id, category, content, created_at, edited_at")
+      .in("politician_id", ids)
+      .eq("moderation_status", "visible")
+      .is("deleted_at", null)
+      .order("created_at", { ascending: true }),
+    supabase
+      .from("promises")
+      .select(PROMISE_FIELDS)
+      .in("politician_id", ids)
+      .eq("moderation_status", "visible"),
+    supabase
+      .from("achievements")
+      .select("id, politician_id, title, description, created_at")
+      .in("politician_id", ids)
+      .eq("moderation_status", "visible")
+      .order("created_at", { ascending: false })
+  ]);
+
+  const ratings = await candidateRatings(ids, manifestos || []);
+  const promisesBy = byKey(promises, "politician_id");
+  const achievementsBy = byKey(achievements, "politician_id");
+
+  return {
+    candidates: profiles.map(p => ({
+      ...p,
+      ...ratings.get(p.id),
+      promises: scorecard(promisesBy.get(p.id) || []),
+      achievements: (achievementsBy.get(p.id) || []).map(({ politician_id, ...a }) => a)
+    })),
+
+    // One row per category; a candidate with nothing to say gets []
+    categories: MANIFESTO_CATEGORIES.map(category => ({
+      category,
+      positions: Object.fromEntries(ids.map(id => [
+        id,
+        (manifestos || [])
+          .filter(m => m.politician_id === id && m.category === category)
+          .map(({ politician_id, category, ...m }) => m)
+      ]))
+    }))
+  };
+}
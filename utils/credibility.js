@@ -0,0 +1,213 @@
+import { supabase } from "./supabase.js";
+import { notifyUser } from "./notifications.js";
+
+/*
+ * Credibility of ground updates.
+ *
+ * People near an incident corroborate or dispute it. Each stance is weighted
+ * by the trust score of whoever made it, and the reporter's own trust score
+ * sets the starting point. Admins can settle an update as verified or false,
+ * which overrides the crowd and feeds back into the reporter's trust.
+ *
+ * Scores live on the rows (ground_updates.confidence, users.trust_score) so
+ * the feed never has to recompute them.
+ */
+
+export const STANCES = ["corroborate", "dispute"];
+
+// Set by admins. "unverified" hands the update back to the crowd.
+export const VERDICTS = ["verified", "false", "unverified"];
+
+export const CORROBORATION_RADIUS_KM = Number(process.env.CORROBORATION_RADIUS_KM) || 5;
+
+// A new reporter starts at 0.5 and needs a track record to move far from it
+const TRUST_PRIOR = 2;
+
+/* =========================
+   NEARNESS
+========================= */
+function distanceKm(a, b) {
+  const rad = deg => deg * Math.PI / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+/*
+ * Checks that someone at `point` and inside `area` is close enough to vouch
+ * for the update. `area` is where their position maps to, or the area they
+ * declared when it can't be mapped (no boundary files, or no position).
+ * Geotagged updates use the radius; others fall back to the finest area
+ * they carry. Returns { distance_km } or { error }, with area_required set
+ * when naming an area would settle it.
+ */
+export function checkNearby(update, point, area) {
+  if (update.latitude !== null && update.latitude !== undefined) {
+    if (!point) {
+      return { error: "Share your position to corroborate or dispute a pinned update" };
+    }
+    const distance_km = distanceKm(point, { lat: update.latitude, lng: update.longitude });
+    if (distance_km > CORROBORATION_RADIUS_KM) {
+      return { error: `You need to be within ${CORROBORATION_RADIUS_KM} km of the incident` };
+    }
+    return { distance_km: Math.round(distance_km * 10) / 10 };
+  }
+
+  const levels = [
+    ["ward", update.ward_code],
+    ["constituency", update.constituency_code],
+    ["county", update.county_code]
+  ];
+
+  for (const [level, code] of levels) {
+    if (!code || !area[level]) continue;
+    if (area[level].code !== code) {
+      return { error: `You need to be in the same ${level} as the incident` };
+    }
+    return { distance_km: null };
+  }
+
+  return levels.some(([, code]) => code)
+    ? { error: "Say which ward or constituency you are in", area_required: true }
+    : { error: "This update has no location that can be checked against yours" };
+}
+
+/* =========================
+   SCORES
+========================= */
+
+// Confidence level shown next to the numeric score
+export function confidenceLevel(confidence) {
+  if (confidence === null || confidence === undefined) return null;
+  if (confidence >= 0.75) return "high";
+  if (confidence >= 0.45) return "medium";
+  return "low";
+}
+
+/*
+ * Recomputes a reporter's trust score from everything they have posted:
+ * admin verdicts count heavily, crowd stances a little (capped per update so
+ * one viral post can't make or break an account), removals count against.
+ */
+export async function refreshTrust(user_id) {
+  const { data: updates } = await supabase
+    .from("ground_updates")
+    .select("verification_status, corroborations_count, disputes_count, moderation_status")
+    .eq("user_id", user_id)
+    .is("repost_of", null);
+
+  let good = TRUST_PRIOR;
+  let bad = TRUST_PRIOR;
+
+  for (const u of updates || []) {
+    if (u.verification_status === "verified") good += 3;
+    if (u.verification_status === "false") bad += 3;
+    if (u.moderation_status === "removed") bad += 1;
+    good += Math.min(u.corroborations_count || 0, 3) * 0.5;
+    bad += Math.min(u.disputes_count || 0, 3) * 0.5;
+  }
+
+  const trust_score = Math.round(good / (good + bad) * 1000) / 1000;
+
+  await supabase.from("users").update({ trust_score }).eq("id", user_id);
+  return trust_score;
+}
+
+/*
+ * Recomputes counts, confidence and status for one update. An admin verdict
+ * (verified_by set) pins the status; otherwise it follows the crowd.
+ */
+export async function refreshCredibility(ground_id) {
+  const [{ data: update }, { data: stances }] = await Promise.all([
+    supabase
+      .from("ground_updates")
+      .select("id, user_id, verification_status, verified_by, users(trust_score)")
+      .eq("id", ground_id)
+      .single(),
+    supabase
+      .from("ground_corroborations")
+      .select("stance, users(trust_score)")
+      .eq("ground_id", ground_id)
+  ]);
+
+  if (!update) return null;
+
+  const weight = s => 0.5 + (s.users?.trust_score ?? 0.5);
+  const reporterTrust = update.users?.trust_score ?? 0.5;
+
+  let support = TRUST_PRIOR * reporterTrust;
+  let doubt = TRUST_PRIOR * (1 - reporterTrust);
+  let corroborations_count = 0;
+  let disputes_count = 0;
+
+  for (const s of stances || []) {
+    if (s.stance === "corroborate") {
+      support += weight(s);
+      corroborations_count++;
+    } else {
+      doubt += weight(s);
+      disputes_count++;
+    }
+  }
+
+  let confidence = support / (support + doubt);
+  let verification_status = "unverified";
+  if (confidence >= 0.75 && corroborations_count >= 2) verification_status = "corroborated";
+  if (confidence <= 0.3 && disputes_count >= 2) verification_status = "disputed";
+
+  if (update.verified_by) {
+    verification_status = update.verification_status;
+    confidence = verification_status === "verified" ? 1 : 0;
+  }
+
+  const credibility = {
+    corroborations_count,
+    disputes_count,
+    confidence: Math.round(confidence * 1000) / 1000,
+    verification_status
+  };
+
+  await supabase.from("ground_updates").update(credibility).eq("id", ground_id);
+  await refreshTrust(update.user_id);
+
+  return { ground_id, ...credibility };
+}
+
+/* =========================
+   ADMIN VERDICTS
+========================= */
+
+// Settles (or, with "unverified", un-settles) an update and logs the decision
+export async function setVerdict(ground_id, status, actor_id, note = null) {
+  const settled = status !== "unverified";
+
+  const { data: update } = await supabase
+    .from("ground_updates")
+    .update({
+      verification_status: status,
+      verified_by: settled ? actor_id : null,
+      verified_at: settled ? new Date() : null
+    })
+    .eq("id", ground_id)
+    .select("id, user_id, location")
+    .single();
+
+  if (!update) return null;
+
+  await supabase.from("ground_verifications").insert([{
+    ground_id,
+    actor_id,
+    status,
+    note
+  }]);
+
+  if (settled) {
+    notifyUser("ground_verdict", update.user_id, { status, location: update.location })
+      .catch(err => console.error("Could not queue verdict notification:", err.message));
+  }
+
+  return refreshCredibility(ground_id);
+}
@@ -0,0 +1,110 @@
+/*
+ * Word-level diff (Myers' O(ND) algorithm) for showing how a text changed
+ * between two revisions. Whitespace is kept as its own token so the pieces
+ * join back into the exact original texts.
+ *
+ *   diffWords("free fees for all", "free fees for some")
+ *   -> [{ op: "equal", text: "free fees for " },
+ *       { op: "delete", text: "all" },
+ *       { op: "insert", text: "some" }]
+ */
+
+// Past this many edits the texts have little in common and a full
+// replace says as much as a detailed diff would.
+const MAX_EDITS = 2000;
+
+const tokenize = text => String(text || "").match(/\s+|[^\s]+/g) || [];
+
+// Shortest edit script between two token arrays, as single-token ops
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDITS);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  let found = false;
+  for (let d = 0; d <= max && !found; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+      v[offset + k] = x;
+      if (x >= n && y >= m) { found = true; break; }
+    }
+  }
+
+  if (!found) return null;
+
+  // Walk the trace backwards to recover the path
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const vd = trace[d];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && vd[offset + k - 1] < vd[offset + k + 1]) ? k + 1 : k - 1;
+    const prevX = vd[offset + prevK];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      x--;
+      y--;
+      ops.push({ op: "equal", token: a[x] });
+    }
+    if (d > 0) {
+      if (x === prevX) ops.push({ op: "insert", token: b[--y] });
+      else ops.push({ op: "delete", token: a[--x] });
+    }
+  }
+
+  return ops.reverse();
+}
+
+// Joins consecutive tokens with the same op into one piece
+function merge(ops) {
+  const pieces = [];
+  for (const { op, token } of ops) {
+    const last = pieces[pieces.length - 1];
+    if (last && last.op === op) last.text += token;
+    else pieces.push({ op, text: token });
+  }
+  return pieces;
+}
+
+export function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  // Common prefix and suffix are cheap to peel off and usually most of it
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const middle = myers(a.slice(start, endA), b.slice(start, endB)) || [
+    ...a.slice(start, endA).map(token => ({ op: "delete", token })),
+    ...b.slice(start, endB).map(token => ({ op: "insert", token }))
+  ];
+
+  return merge([
+    ...a.slice(0, start).map(token => ({ op: "equal", token })),
+    ...middle,
+    ...a.slice(endA).map(token => ({ op: "equal", token }))
+  ]);
+}
+
+// Words (not whitespace) added and removed by a diff
+export function diffStats(pieces) {
+  const words = text => (text.match(/[^\s]+/g) || []).length;
+
+  return {
+    added: pieces.filter(p => p.op === "insert").reduce((n, p) => n + words(p.text), 0),
+    removed: pieces.filter(p => p.op === "delete").reduce((n, p) => n + words(p.text), 0)
+  };
+}
@@ -0,0 +1,370 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { supabase } from "./supabase.js";
+import { notify } from "./notifications.js";
+import { hashToken } from "./auth.js";
+import { GROUND_CATEGORIES } from "./ground.js";
+import { getCounty, getConstituency, getWard } from "./geo.js";
+
+/*
+ * Escalation of high-severity ground reports.
+ *
+ * Every new update is checked against a set of rules ("Violence reported by
+ * 3 different people in one constituency within 30 minutes"). Visible
+ * updates count, and so do ones held only for describing violence
+ * (incident_hold); others are checked again once a moderator releases
+ * them. The first time a rule trips for an
+ * area an escalation is opened and every responder covering that county is
+ * told by email and/or webhook. Later reports join the open escalation
+ * instead of notifying again. Responders acknowledge through the link they
+ * were sent; moderators acknowledge and resolve from the dashboard.
+ *
+ * Rules come from data/escalation/rules.json, or the file named by
+ * ESCALATION_RULES_PATH.
+ */
+const DEFAULT_RULES = path.join(
+  path.dirname(fileURLToPath(import.meta.url)), "..", "data", "escalation", "rules.json"
+);
+
+// The ground_updates column each rule scope groups by
+const SCOPE_COLUMNS = {
+  ward: "ward_code",
+  constituency: "constituency_code",
+  county: "county_code"
+};
+
+const SCOPE_NAMES = {
+  ward: code => getWard(code)?.name,
+  constituency: code => getConstituency(code)?.name,
+  county: code => getCounty(code)?.name
+};
+
+export const SEVERITIES = ["high", "critical"];
+export const ESCALATION_STATUSES = ["open", "acknowledged", "resolved"];
+
+/* =========================
+   RULES
+========================= */
+let rules;
+
+export function loadRules(file = process.env.ESCALATION_RULES_PATH || DEFAULT_RULES) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf8")).rules || [];
+
+  for (const rule of raw) {
+    const bad = !rule.id ||
+      !rule.categories?.length ||
+      rule.categories.some(c => !GROUND_CATEGORIES.includes(c)) ||
+      !(rule.scope in SCOPE_COLUMNS) ||
+      !Number.isInteger(rule.threshold) || rule.threshold < 1 ||
+      !(rule.window_minutes > 0) ||
+      !SEVERITIES.includes(rule.severity);
+
+    if (bad) throw new Error(`Invalid escalation rule: ${rule.id || JSON.stringify(rule)}`);
+  }
+
+  rules = raw;
+  return rules;
+}
+
+loadRules();
+
+export function listRules() {
+  return rules;
+}
+
+/* =========================
+   EVALUATION
+========================= */
+
+// Reports that count towards a rule: visible or incident-held ones not
+// marked false by an admin. Other held reports wait for a moderator.
+async function matchingReports(rule, code) {
+  const since = new Date(Date.now() - rule.window_minutes * 60e3);
+
+  const { data } = await supabase
+    .from("ground_updates")
+    .select("id, user_id, created_at")
+    .in("category", rule.categories)
+    .eq(SCOPE_COLUMNS[rule.scope], code)
+    .gte("created_at", since.toISOString())
+    .or("moderation_status.eq.visible,and(moderation_status.eq.held,incident_hold.is.true)")
+    .neq("verification_status", "false")
+    .is("repost_of", null)
+    .order("created_at", { ascending: true });
+
+  return data || [];
+}
+
+async function openEscalation(rule_id, scope_code) {
+  const { data } = await supabase
+    .from("escalations")
+    .select("id")
+    .eq("rule_id", rule_id)
+    .eq("scope_code", scope_code)
+    .in("status", ["open", "acknowledged"])
+    .maybeSingle();
+
+  return data;
+}
+
+// Links reports to an escalation and refreshes its count and last-seen time
+async function linkReports(escalation_id, reports) {
+  await supabase
+    .from("escalation_reports")
+    .upsert(reports.map(r => ({ escalation_id, ground_id: r.id })), {
+      onConflict: "escalation_id,ground_id",
+      ignoreDuplicates: true
+    });
+
+  const { count } = await supabase
+    .from("escalation_reports")
+    .select("*", { count: "exact", head: true })
+    .eq("escalation_id", escalation_id);
+
+  await supabase
+    .from("escalations")
+    .update({ report_count: count || reports.length, last_report_at: reports[reports.length - 1].created_at })
+    .eq("id", escalation_id);
+}
+
+/*
+ * Runs every rule that cares about this update's category. Returns the
+ * escalations it opened (joining an open one doesn't count).
+ */
+export async function evaluateEscalations(update) {
+  const opened = [];
+
+  for (const rule of rules) {
+    if (!rule.categories.includes(update.category)) continue;
+
+    const code = update[SCOPE_COLUMNS[rule.scope]];
+    if (!code) continue;
+
+    // The threshold counts people, so one account posting repeatedly can't
+    // trip it alone
+    const reports = await matchingReports(rule, code);
+    if (new Set(reports.map(r => r.user_id)).size < rule.threshold) continue;
+
+    const existing = await openEscalation(rule.id, code);
+    if (existing) {
+      await linkReports(existing.id, reports);
+      continue;
+    }
+
+    const { data: escalation, error } = await supabase
+      .from("escalations")
+      .insert([{
+        rule_id: rule.id,
+        rule_name: rule.name,
+        severity: rule.severity,
+        scope: rule.scope,
+        scope_code: code,
+        area_name: SCOPE_NAMES[rule.scope](code) || code,
+        county_code: update.county_code,
+        categories: rule.categories,
+        threshold: rule.threshold,
+        window_minutes: rule.window_minutes,
+        report_count: reports.length,
+        first_report_at: reports[0].created_at,
+        last_report_at: reports[reports.length - 1].created_at,
+        status: "open"
+      }])
+      .select()
+      .single();
+
+    // The unique index lets only one request open an escalation per area;
+    // the loser's report still gets linked.
+    if (error) {
+      const winner = await openEscalation(rule.id, code);
+      if (winner) await linkReports(winner.id, reports);
+      continue;
+    }
+
+    await linkReports(escalation.id, reports);
+    await notifyResponders(escalation);
+    opened.push(escalation);
+  }
+
+  return opened;
+}
+
+/* =========================
+   NOTIFICATIONS
+========================= */
+async function respondersFor(county_code) {
+  let query = supabase
+    .from("escalation_responders")
+    .select("id, name, email, webhook_url")
+    .eq("active", true);
+
+  query = county_code
+    ? query.or(`county_code.is.null,county_code.eq.${county_code}`)
+    : query.is("county_code", null);
+
+  const { data } = await query;
+  return data || [];
+}
+
+function acknowledgeUrl(token) {
+  return `${process.env.PUBLIC_API_URL || ""}/escalations/acknowledge?token=${token}`;
+}
+
+function escalationEmail(escalation, link) {
+  return {
+    rule_name: escalation.rule_name,
+    area_name: escalation.area_name,
+    scope: escalation.scope,
+    report_count: escalation.report_count,
+    categories: escalation.categories.join(" / "),
+    window_minutes: escalation.window_minutes,
+    severity: escalation.severity,
+    first_report_at: new Date(escalation.first_report_at).toUTCString(),
+    acknowledge_url: link
+  };
+}
+
+// Webhooks are signed with ESCALATION_WEBHOOK_SECRET so receivers can check
+// the request came from us: X-Escalation-Signature: sha256=<hex hmac of body>.
+// Without a secret anyone could forge the signature, so nothing is sent.
+export const webhooksEnabled = () => !!process.env.ESCALATION_WEBHOOK_SECRET;
+
+async function postWebhook(url, payload) {
+  if (!webhooksEnabled()) {
+    throw new Error("ESCALATION_WEBHOOK_SECRET is not set; webhooks are not sent");
+  }
+
+  const body = JSON.stringify(payload);
+  const signature = crypto
+    .createHmac("sha256", process.env.ESCALATION_WEBHOOK_SECRET)
+    .update(body)
+    .digest("hex");
+
+  const res = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "X-Escalation-Signature": `sha256=${signature}`
+    },
+    body,
+    signal: AbortSignal.timeout(5000)
+  });
+
+  if (!res.ok) throw new Error(`Webhook answered ${res.status}`);
+}
+
+// Sends one notification per responder, each with its own acknowledgement
+// link. Delivery failures are recorded, never thrown.
+export async function notifyResponders(escalation) {
+  const responders = await respondersFor(escalation.county_code);
+
+  for (const responder of responders) {
+    const token = crypto.randomBytes(24).toString("base64url");
+    const link = acknowledgeUrl(token);
+    const delivery = {};
+
+    // Email goes through the notification queue, which retries on its own
+    if (responder.email) {
+      try {
+        delivery.notification_id = await notify("escalation_opened", {
+          to: responder.email,
+          data: escalationEmail(escalation, link)
+        });
+        delivery.email_status = "queued";
+      } catch (err) {
+        delivery.email_status = "failed";
+        delivery.error = err.message;
+      }
+    }
+
+    if (responder.webhook_url) {
+      try {
+        await postWebhook(responder.webhook_url, {
+          event: "escalation.opened",
+          escalation,
+          acknowledge_url: link
+        });
+        delivery.webhook_status = "sent";
+      } catch (err) {
+        delivery.webhook_status = "failed";
+        delivery.error = [delivery.error, err.message].filter(Boolean).join("; ");
+      }
+    }
+
+    await supabase.from("escalation_notifications").insert([{
+      escalation_id: escalation.id,
+      responder_id: responder.id,
+      ack_token_hash: hashToken(token),
+      ...delivery
+    }]);
+  }
+
+  return responders.length;
+}
+
+/* =========================
+   ACKNOWLEDGEMENT
+========================= */
+
+// Records who acknowledged and moves an open escalation to "acknowledged"
+export async function acknowledge(escalation_id, { responder_id = null, user_id = null, note = null }) {
+  const { data: escalation } = await supabase
+    .from("escalations")
+    .select("id, status")
+    .eq("id", escalation_id)
+    .single();
+
+  if (!escalation) return null;
+
+  await supabase.from("escalation_acknowledgements").insert([{
+    escalation_id,
+    responder_id,
+    user_id,
+    note
+  }]);
+
+  if (escalation.status === "open") {
+    await supabase
+      .from("escalations")
+      .update({ status: "acknowledged", acknowledged_at: new Date() })
+      .eq("id", escalation_id)
+      .eq("status", "open");
+  }
+
+  return escalation_id;
+}
+
+// Acknowledges through an emailed or webhook link. Each link works once.
+export async function acknowledgeByToken(token) {
+  if (!token) return null;
+
+  const { data: notification } = await supabase
+    .from("escalation_notifications")
+    .update({ acknowledged_at: new Date() })
+    .eq("ack_token_hash", hashToken(String(token)))
+    .is("acknowledged_at", null)
+    .select("escalation_id, responder_id")
+    .single();
+
+  if (!notification) return null;
+
+  return acknowledge(notification.escalation_id, { responder_id: notification.responder_id });
+}
+
+export async function resolveEscalation(escalation_id, user_id, note = null) {
+  const { data } = await supabase
+    .from("escalations")
+    .update({
+      status: "resolved",
+      resolved_at: new Date(),
+      resolved_by: user_id,
+      resolution_note: note
+    })
+    .eq("id", escalation_id)
+    .neq("status", "resolved")
+    .select("id, status, resolved_at")
+    .single();
+
+  return data;
+}
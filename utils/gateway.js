@@ -0,0 +1,268 @@
+import { resolveLocation } from "./geo.js";
+import { ballotFor } from "./ballot.js";
+import { GROUND_CATEGORIES } from "./ground.js";
+import { submitRating } from "./ratings.js";
+import { submitGroundUpdate } from "./reporting.js";
+import { can } from "./permissions.js";
+import { normalisePhone, accountForPhone } from "./phone.js";
+import { hit } from "./ratelimit.js";
+
+/*
+ * SMS and USSD channel for feature phones, speaking Africa's Talking's
+ * callback format.
+ *
+ * USSD is stateless on our side: every callback carries everything the
+ * caller has typed so far ("1*Kipevu*2"), and the menu is replayed from the
+ * start each time. Each screen turns one input into the next screen, an
+ * end message, or a notice to try again. "0" goes back a screen and "00"
+ * returns to the main menu.
+ *
+ * Ratings and ground updates go through the same services and rate limits
+ * as /rate and /ground-updates, attributed to the account for the caller's
+ * number.
+ */
+
+// Longest USSD page most networks will show
+const MAX_SCREEN = 182;
+const PAGE_SIZE = 5;
+const EXCERPT = 100;
+const REPORT_MAX = 500;
+
+const clip = (text, max) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+
+const numbered = items => items.map((item, i) => `${i + 1}. ${item}`).join("\n");
+
+// The item picked by a 1-based menu number, or undefined
+const pick = (items, input) => (/^\d+$/.test(input) ? items[Number(input) - 1] : undefined);
+
+const end = text => ({ end: text });
+const retry = notice => ({ notice });
+
+/* =========================
+   SCREENS
+========================= */
+function mainMenu(ctx) {
+  return {
+    text: "Kenya E-Campaign\n1. Candidates in my ward\n2. Report what is happening",
+    async handle(input) {
+      if (input === "1") return askWard(area => seatMenu(ctx, area));
+      if (input === "2") return askWard(area => categoryMenu(ctx, area));
+      return null;
+    }
+  };
+}
+
+function askWard(next) {
+  return {
+    text: "Enter your ward name or code:",
+    async handle(input) {
+      const area = resolveLocation({ ward: input });
+      if (area.ambiguous) return retry("Several wards share that name. Enter the ward code from your voter card.");
+      if (area.error) return retry("Ward not found. Check the spelling on your voter card.");
+      return next(area);
+    }
+  };
+}
+
+/* ---- candidates ---- */
+async function seatMenu(ctx, area) {
+  const seats = (await ballotFor(area)).filter(s => s.candidates.length);
+
+  if (!seats.length) return end(`No approved candidates in ${area.ward.name} yet.`);
+
+  return {
+    text: `Candidates in ${area.ward.name}\n${numbered(seats.map(s => `${s.seat} (${s.candidates.length})`))}`,
+    async handle(input) {
+      const seat = pick(seats, input);
+      return seat ? candidateList(ctx, seat, 0) : null;
+    }
+  };
+}
+
+function candidateList(ctx, seat, page) {
+  const start = page * PAGE_SIZE;
+  const shown = seat.candidates.slice(start, start + PAGE_SIZE);
+  const more = seat.candidates.length > start + PAGE_SIZE;
+
+  return {
+    text: `${seat.seat}\n${numbered(shown.map(c => clip(`${c.full_name} (${c.party || "Independent"})`, 30)))}` +
+      (more ? "\n9. More" : ""),
+    async handle(input) {
+      if (more && input === "9") return candidateList(ctx, seat, page + 1);
+      const candidate = pick(shown, input);
+      return candidate ? candidateScreen(ctx, seat, candidate) : null;
+    }
+  };
+}
+
+function candidateScreen(ctx, seat, candidate) {
+  const { average, count } = candidate.rating;
+  const heading = `${clip(candidate.full_name, 40)} (${candidate.party || "Independent"})\n${seat.seat}` +
+    (count ? `, rated ${average}/5 by ${count}` : "");
+
+  if (!candidate.manifestos.length) {
+    return { text: `${heading}\nNo manifesto published yet.`, handle: async () => null };
+  }
+
+  return {
+    text: `${heading}\nManifesto:\n${numbered(candidate.manifestos.map(m => m.category))}`,
+    async handle(input) {
+      const manifesto = pick(candidate.manifestos, input);
+      return manifesto ? manifestoScreen(ctx, candidate, manifesto) : null;
+    }
+  };
+}
+
+function manifestoScreen(ctx, candidate, manifesto) {
+  return {
+    text: `${manifesto.category}: ${clip(manifesto.excerpt, EXCERPT)}\n1. Rate this manifesto`,
+    async handle(input) {
+      return input === "1" ? rateScreen(ctx, candidate, manifesto) : null;
+    }
+  };
+}
+
+function rateScreen(ctx, candidate, manifesto) {
+  return {
+    text: `Rate ${clip(candidate.full_name, 40)} on ${manifesto.category}, from 1 (poor) to 5 (excellent):`,
+    async handle(input) {
+      if (!/^[1-5]$/.test(input)) return retry("Please enter a number from 1 to 5.");
+
+      if (!can(ctx.user, "rating:create")) return end("Sorry, your account cannot rate.");
+      if ((await hit("rating", { account: ctx.user.id })).limited) {
+        return end("You have sent many ratings recently. Please try again later.");
+      }
+
+      const result = await submitRating({
+        user_id: ctx.user.id,
+        target_type: "manifesto",
+        target_id: manifesto.manifesto_id,
+        rating: Number(input)
+      });
+
+      return end(result.error ? `Sorry: ${result.error}.` : "Thank you. Your rating has been saved.");
+    }
+  };
+}
+
+/* ---- ground updates ---- */
+function categoryMenu(ctx, area) {
+  return {
+    text: `What is happening in ${area.ward.name}?\n${numbered(GROUND_CATEGORIES)}`,
+    async handle(input) {
+      const category = pick(GROUND_CATEGORIES, input);
+      return category ? describeScreen(ctx, area, category) : null;
+    }
+  };
+}
+
+function describeScreen(ctx, area, category) {
+  return {
+    text: `${category} in ${area.ward.name}. Briefly describe what you see:`,
+    async handle(input) {
+      if (input.length < 5) return retry("Please add a few more words.");
+      if (input.length > REPORT_MAX) return retry(`Please keep it under ${REPORT_MAX} characters.`);
+      return confirmReport(ctx, area, category, input);
+    }
+  };
+}
+
+function confirmReport(ctx, area, category, content) {
+  return {
+    text: `Send this ${category} report from ${area.ward.name}?\n"${clip(content, 80)}"\n1. Send`,
+    async handle(input) {
+      if (input !== "1") return null;
+
+      if (!can(ctx.user, "ground:create")) return end("Sorry, your account cannot post reports.");
+      if ((await hit("ground_update", { account: ctx.user.id })).limited) {
+        return end("You have sent many reports recently. Please try again later.");
+      }
+
+      const update = await submitGroundUpdate({
+        user_id: ctx.user.id,
+        location: `${area.ward.name}, ${area.constituency.name}`,
+        category,
+        content,
+        area,
+        point: null
+      });
+
+      if (update.rejected) return end("Your report could not be accepted because it breaks community rules.");
+      if (update.held) return end("Thank you. Your report will be published once it has been reviewed.");
+      return end("Thank you. Your report has been published.");
+    }
+  };
+}
+
+/* =========================
+   USSD
+========================= */
+
+// Answers one Africa's Talking USSD callback with "CON ..." or "END ..."
+export async function handleUssd({ phoneNumber, text }) {
+  const phone = normalisePhone(phoneNumber);
+  if (!phone) return "END Sorry, this service is only available on Kenyan numbers.";
+
+  const user = await accountForPhone(phone);
+  if (!user.is_active) return "END Your account is suspended.";
+
+  const ctx = { user };
+  const stack = [mainMenu(ctx)];
+  let notice = null;
+
+  for (const raw of text ? String(text).split("*") : []) {
+    const input = raw.trim();
+    notice = null;
+
+    if (input === "00") {
+      stack.length = 1;
+      continue;
+    }
+
+    if (input === "0" && stack.length > 1) {
+      stack.pop();
+      continue;
+    }
+
+    const next = await stack[stack.length - 1].handle(input);
+
+    if (!next) notice = "Invalid choice.";
+    else if (next.notice) notice = next.notice;
+    else if (next.end) return `END ${clip(next.end, MAX_SCREEN)}`;
+    else stack.push(next);
+  }
+
+  const screen = stack[stack.length - 1];
+  const back = stack.length > 1 ? "\n0. Back" : "";
+  const body = [notice, screen.text].filter(Boolean).join("\n");
+
+  return `CON ${clip(body, MAX_SCREEN - back.length)}${back}`;
+}
+
+/* =========================
+   SMS
+========================= */
+const SMS_MAX = 459; // three segments
+
+function smsHelp() {
+  const dial = process.env.USSD_SERVICE_CODE ? ` Dial ${process.env.USSD_SERVICE_CODE} to rate manifestos or report incidents.` : "";
+  return `Kenya E-Campaign: SMS WARD followed by your ward name to see your candidates.${dial}`;
+}
+
+// Reply text for one inbound SMS. Commands: WARD <ward>, HELP.
+export async function handleSms({ text }) {
+  const [command, ...rest] = String(text || "").trim().split(/\s+/);
+  const argument = rest.join(" ");
+
+  if (command?.toUpperCase() !== "WARD" || !argument) return smsHelp();
+
+  const area = resolveLocation({ ward: argument });
+  if (area.ambiguous) return `Several wards are called "${clip(argument, 40)}". Send WARD followed by the ward code from your voter card.`;
+  if (area.error) return `Ward "${clip(argument, 40)}" not found. Check the spelling on your voter card.`;
+
+  const seats = (await ballotFor(area)).filter(s => s.candidates.length);
+  if (!seats.length) return `No approved candidates in ${area.ward.name} yet.`;
+
+  const lines = seats.map(s => `${s.seat}: ${s.candidates.map(c => `${c.full_name} (${c.party || "Ind"})`).join(", ")}`);
+  return clip(`${area.ward.name}\n${lines.join("\n")}`, SMS_MAX);
+}
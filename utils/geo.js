@@ -0,0 +1,287 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+/*
+ * Kenyan electoral geography, keyed by IEBC codes: 47 counties ("001"-"047"),
+ * 290 constituencies ("001"-"290") and wards ("0001"-"1450").
+ *
+ * data/geo/wards.json holds the full IEBC ward register (1,448 wards).
+ * Corrections can be merged in from a CSV with scripts/import-wards.js.
+ * Some ward names repeat across constituencies ("Township", "Central"), so
+ * a ward given by name alone must be unique or it is refused.
+ *
+ * Reverse geocoding needs boundary polygons in data/geo/boundaries/, which
+ * are generated from IEBC shapefiles (as GeoJSON) by
+ * scripts/import-boundaries.js. Without them coordinates are still accepted
+ * but cannot be mapped to an area, and callers fall back to the area the
+ * user names.
+ */
+const DATA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "data", "geo");
+
+const load = file => JSON.parse(fs.readFileSync(path.join(DATA_DIR, file), "utf8"));
+
+const counties = load("counties.json");
+const constituencies = load("constituencies.json");
+const wards = load("wards.json");
+
+// Boundary files are optional; a missing level just can't be reverse-mapped
+const loadBoundaries = level => {
+  const file = path.join(DATA_DIR, "boundaries", `${level}.json`);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : [];
+};
+
+const boundaries = {
+  ward: loadBoundaries("wards"),
+  constituency: loadBoundaries("constituencies"),
+  county: loadBoundaries("counties")
+};
+
+const key = value => String(value || "").trim().toLowerCase().replace(/[\s'’.-]+/g, " ");
+
+function indexBy(rows, field) {
+  return new Map(rows.map(r => [r[field], r]));
+}
+
+function groupBy(rows, field) {
+  const map = new Map();
+  for (const row of rows) {
+    if (!map.has(row[field])) map.set(row[field], []);
+    map.get(row[field]).push(row);
+  }
+  return map;
+}
+
+const countyByCode = indexBy(counties, "code");
+const constituencyByCode = indexBy(constituencies, "code");
+const wardByCode = indexBy(wards, "code");
+const constituenciesByCounty = groupBy(constituencies, "county_code");
+const wardsByConstituency = groupBy(wards, "constituency_code");
+
+/* =========================
+   LOOKUPS
+========================= */
+export function listCounties() {
+  return counties;
+}
+
+export function getCounty(code) {
+  return countyByCode.get(code) || null;
+}
+
+export function getConstituency(code) {
+  return constituencyByCode.get(code) || null;
+}
+
+export function getWard(code) {
+  return wardByCode.get(code) || null;
+}
+
+export function constituenciesOf(county_code) {
+  return constituenciesByCounty.get(county_code) || [];
+}
+
+export function wardsOf(constituency_code) {
+  return wardsByConstituency.get(constituency_code) || [];
+}
+
+// Accepts either a code or a (case-insensitive) name.
+function find(rows, byCode, value) {
+  if (!value) return null;
+  return byCode.get(String(value).trim()) ||
+    rows.find(r => key(r.name) === key(value)) ||
+    null;
+}
+
+/*
+ * Resolves { county, constituency, ward } (codes or names) into canonical
+ * records, checking that each level sits inside the one above it.
+ * Returns { error } on the first mismatch.
+ */
+export function resolveLocation({ county, constituency, ward } = {}) {
+  const result = { county: null, constituency: null, ward: null };
+
+  if (county) {
+    result.county = find(counties, countyByCode, county);
+    if (!result.county) return { error: "Unknown county" };
+  }
+
+  if (constituency) {
+    const pool = result.county ? constituenciesOf(result.county.code) : constituencies;
+    result.constituency = find(pool, new Map(pool.map(c => [c.code, c])), constituency);
+    if (!result.constituency) {
+      return { error: result.county ? `Constituency is not in ${result.county.name} County` : "Unknown constituency" };
+    }
+    result.county = result.county || getCounty(result.constituency.county_code);
+  }
+
+  if (ward) {
+    const pool = result.constituency ? wardsOf(result.constituency.code) : wards;
+
+    if (!result.constituency && !wardByCode.has(String(ward).trim()) &&
+        wards.filter(w => key(w.name) === key(ward)).length > 1) {
+      return {
+        error: `More than one ward is called ${String(ward).trim()}; give the constituency or the ward code`,
+        ambiguous: true
+      };
+    }
+
+    result.ward = find(pool, new Map(pool.map(w => [w.code, w])), ward);
+    if (!result.ward) {
+      if (result.constituency && !pool.length) {
+        return { error: `Ward data for ${result.constituency.name} has not been loaded yet` };
+      }
+      return { error: result.constituency ? `Ward is not in ${result.constituency.name} Constituency` : "Unknown ward" };
+    }
+    result.constituency = result.constituency || getConstituency(result.ward.constituency_code);
+    result.county = result.county || getCounty(result.constituency.county_code);
+  }
+
+  return result;
+}
+
+/* =========================
+   REVERSE GEOCODING
+   Boundary records: { code, bbox: [minLng, minLat, maxLng, maxLat],
+   polygons: [[outer ring, ...holes], ...] } with rings as [lng, lat] pairs.
+========================= */
+
+// Generous box around Kenya, to catch swapped or mistyped coordinates
+export const KENYA_BOUNDS = { minLat: -5, maxLat: 5.5, minLng: 33.5, maxLng: 42 };
+
+export function isInKenya(lat, lng) {
+  return lat >= KENYA_BOUNDS.minLat && lat <= KENYA_BOUNDS.maxLat &&
+    lng >= KENYA_BOUNDS.minLng && lng <= KENYA_BOUNDS.maxLng;
+}
+
+/*
+ * Parses a { latitude, longitude } pair from user input. Both missing means
+ * "not geotagged" and returns null; anything else invalid returns { error }.
+ */
+export function parseCoordinates(latitude, longitude) {
+  const blank = v => v === undefined || v === null || v === "";
+  if (blank(latitude) && blank(longitude)) return null;
+  if (blank(latitude) || blank(longitude)) return { error: "Send both latitude and longitude" };
+
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return { error: "Invalid coordinates" };
+  if (!isInKenya(lat, lng)) return { error: "Coordinates are outside Kenya" };
+
+  return { lat, lng };
+}
+
+// Ray casting; points exactly on an edge may fall either way
+function inRing(lng, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function contains(boundary, lng, lat) {
+  const [minLng, minLat, maxLng, maxLat] = boundary.bbox;
+  if (lng < minLng || lng > maxLng || lat < minLat || lat > maxLat) return false;
+
+  return boundary.polygons.some(([outer, ...holes]) =>
+    inRing(lng, lat, outer) && !holes.some(hole => inRing(lng, lat, hole))
+  );
+}
+
+const boundaryAt = (level, lat, lng) =>
+  boundaries[level].find(b => contains(b, lng, lat))?.code || null;
+
+/*
+ * Maps a point to the finest area the loaded boundaries allow, in the same
+ * shape resolveLocation() returns. Levels that can't be found are null.
+ */
+export function locateCoordinates(lat, lng) {
+  const result = { county: null, constituency: null, ward: null };
+
+  result.ward = getWard(boundaryAt("ward", lat, lng));
+  result.constituency = result.ward
+    ? getConstituency(result.ward.constituency_code)
+    : getConstituency(boundaryAt("constituency", lat, lng));
+  result.county = result.constituency
+    ? getCounty(result.constituency.county_code)
+    : getCounty(boundaryAt("county", lat, lng));
+
+  return result;
+}
+
+/*
+ * Combines an area the user picked with the one their coordinates fall in.
+ * The point fills in any level the user left out; a level where the two
+ * disagree is an error.
+ */
+export function reconcileLocation(picked, located) {
+  for (const level of ["county", "constituency", "ward"]) {
+    if (picked[level] && located[level] && picked[level].code !== located[level].code) {
+      return { error: `The pinned position is not in ${picked[level].name}` };
+    }
+  }
+
+  return {
+    county: picked.county || located.county,
+    constituency: picked.constituency || located.constituency,
+    ward: picked.ward || located.ward
+  };
+}
+
+/* =========================
+   SEAT RULES
+========================= */
+export const SEAT_GEOGRAPHY = {
+  "President": null,
+  "Governor": "county",
+  "Senator": "county",
+  "Woman Rep": "county",
+  "MP": "constituency",
+  "MCA": "ward"
+};
+
+/*
+ * Checks that a seat comes with exactly the geography it is elected from and
+ * returns the flattened columns to store:
+ *   { county, county_code, constituency, constituency_code, ward, ward_code }
+ */
+export function validateSeatGeography(seat, location = {}) {
+  if (!(seat in SEAT_GEOGRAPHY)) return { error: "Invalid seat" };
+
+  const level = SEAT_GEOGRAPHY[seat];
+  const wanted = {
+    county: level !== null,
+    constituency: level === "constituency" || level === "ward",
+    ward: level === "ward"
+  };
+
+  if (wanted.county && !location.county) return { error: `County is required for ${seat}` };
+  if (wanted.constituency && !location.constituency) return { error: `Constituency is required for ${seat}` };
+  if (wanted.ward && !location.ward) return { error: `Ward is required for ${seat}` };
+
+  // Drop anything finer than the seat's level (e.g. a ward sent for a Senator)
+  const resolved = resolveLocation({
+    county: wanted.county ? location.county : null,
+    constituency: wanted.constituency ? location.constituency : null,
+    ward: wanted.ward ? location.ward : null
+  });
+  if (resolved.error) return resolved;
+
+  return locationColumns(resolved);
+}
+
+export function locationColumns({ county, constituency, ward }) {
+  return {
+    county: county?.name || null,
+    county_code: county?.code || null,
+    constituency: constituency?.name || null,
+    constituency_code: constituency?.code || null,
+    ward: ward?.name || null,
+    ward_code: ward?.code || null
+  };
+}
@@ -0,0 +1,273 @@
+import { supabase } from "./supabase.js";
+import { mediaFor } from "./media.js";
+import { confidenceLevel } from "./credibility.js";
+import { commentCounts } from "./comments.js";
+
+/*
+ * Ground update feed helpers. Like and repost counts come back embedded
+ * with each row; comment counts and the caller's own like/repost state are
+ * fetched once for the whole page.
+ */
+
+export const GROUND_CATEGORIES = [
+  "Rally",
+  "Violence",
+  "Intimidation",
+  "Peace",
+  "Voting Process",
+  "Police Presence",
+  "Other"
+];
+
+export const FEED_COUNTS = `
+  ground_likes(count),
+  ground_reposts(count)
+`;
+
+async function idsFor(table, user_id, ground_ids) {
+  if (!user_id || !ground_ids.length) return new Set();
+
+  const { data } = await supabase
+    .from(table)
+    .select("ground_id")
+    .eq("user_id", user_id)
+    .in("ground_id", ground_ids);
+
+  return new Set((data || []).map(r => r.ground_id));
+}
+
+async function stancesFor(user_id, ground_ids) {
+  if (!user_id || !ground_ids.length) return new Map();
+
+  const { data } = await supabase
+    .from("ground_corroborations")
+    .select("ground_id, stance")
+    .eq("user_id", user_id)
+    .in("ground_id", ground_ids);
+
+  return new Map((data || []).map(r => [r.ground_id, r.stance]));
+}
+
+// Flattens embedded counts, attaches media and adds liked / reposted and
+// the viewer's corroborate / dispute stance.
+export async function decorateFeed(rows, viewer) {
+  const ids = rows.map(r => r.id);
+  const [liked, reposted, stances, media, comments] = await Promise.all([
+    idsFor("ground_likes", viewer?.id, ids),
+    idsFor("ground_reposts", viewer?.id, ids),
+    stancesFor(viewer?.id, ids),
+    mediaFor("ground_update", ids),
+    commentCounts("ground_update", ids)
+  ]);
+
+  return rows.map(({ ground_likes, ground_reposts, ...row }) => ({
+    ...row,
+    likes_count: ground_likes?.[0]?.count || 0,
+    comments_count: comments[row.id] || 0,
+    reposts_count: ground_reposts?.[0]?.count || 0,
+    ...publicPosition(row),
+    confidence_level: confidenceLevel(row.confidence),
+    media: media[row.id] || [],
+    liked: liked.has(row.id),
+    reposted: reposted.has(row.id),
+    my_stance: stances.get(row.id) || null
+  }));
+}
+
+// Current count plus the viewer's state, returned after every toggle
+export async function interactionState(table, user_id, ground_id) {
+  const [{ count }, mine] = await Promise.all([
+    supabase.from(table).select("*", { count: "exact", head: true }).eq("ground_id", ground_id),
+    idsFor(table, user_id, [ground_id])
+  ]);
+
+  return { count: count || 0, active: mine.has(ground_id) };
+}
+
+// Reposting a legacy repost row targets the update it copied
+export async function resolveOriginal(ground_id) {
+  const { data } = await supabase
+    .from("ground_updates")
+    .select("id, repost_of")
+    .eq("id", ground_id)
+    .eq("moderation_status", "visible")
+    .single();
+
+  if (!data) return null;
+  return data.repost_of || data.id;
+}
+
+/* =========================
+   FEED FILTERS
+========================= */
+const WINDOW_UNITS = { m: 60e3, h: 3600e3, d: 86400e3 };
+
+// "30m" / "6h" / "7d" -> Date that many minutes/hours/days ago
+export function parseWindow(value) {
+  const match = /^(\d+)([mhd])$/.exec(String(value || "").trim());
+  if (!match) return null;
+  return new Date(Date.now() - Number(match[1]) * WINDOW_UNITS[match[2]]);
+}
+
+export const VERIFICATION_STATUSES = ["verified", "corroborated", "unverified", "disputed", "false"];
+
+/*
+ * Applies ?category=A,B, ?status=verified,corroborated and ?since / ?until /
+ * ?window to a ground_updates query. Throws a RangeError on bad input so
+ * routes can answer 400.
+ */
+export function filterUpdates(query, { category, status, since, until, window }) {
+  if (status) {
+    const statuses = String(status).split(",");
+    if (statuses.some(s => !VERIFICATION_STATUSES.includes(s))) {
+      throw new RangeError("Invalid verification status");
+    }
+    query = query.in("verification_status", statuses);
+  }
+
+  if (category) {
+    const categories = String(category).split(",");
+    if (categories.some(c => !GROUND_CATEGORIES.includes(c))) {
+      throw new RangeError("Invalid category");
+    }
+    query = query.in("category", categories);
+  }
+
+  const from = window ? parseWindow(window) : since ? new Date(since) : null;
+  if ((window || since) && (!from || isNaN(from))) {
+    throw new RangeError("Invalid time window");
+  }
+  if (from) query = query.gte("created_at", from.toISOString());
+
+  if (until) {
+    const to = new Date(until);
+    if (isNaN(to)) throw new RangeError("Invalid time window");
+    query = query.lte("created_at", to.toISOString());
+  }
+
+  return query;
+}
+
+/*
+ * PostgREST filter for a user's "following" feed: updates written by the
+ * people they follow, plus originals those people reposted. Returns null
+ * when they follow nobody.
+ */
+export async function followingFilter(user_id) {
+  const { data: follows } = await supabase
+    .from("user_follows")
+    .select("followee_id")
+    .eq("follower_id", user_id);
+
+  const followees = (follows || []).map(f => f.followee_id);
+  if (!followees.length) return null;
+
+  const { data: reposts } = await supabase
+    .from("ground_reposts")
+    .select("ground_id")
+    .in("user_id", followees)
+    .order("created_at", { ascending: false })
+    .limit(500);
+
+  const reposted = [...new Set((reposts || []).map(r => r.ground_id))];
+
+  return reposted.length
+    ? `user_id.in.(${followees.join(",")}),id.in.(${reposted.join(",")})`
+    : `user_id.in.(${followees.join(",")})`;
+}
+
+/* =========================
+   INCIDENT MAP
+========================= */
+
+// Published coordinates are rounded to ~100 m so a pin can't be used to
+// find the reporter's front door.
+const PUBLIC_PRECISION = 1e3;
+
+export function publicPosition({ latitude, longitude }) {
+  if (latitude === null || latitude === undefined) return {};
+  return {
+    latitude: Math.round(latitude * PUBLIC_PRECISION) / PUBLIC_PRECISION,
+    longitude: Math.round(longitude * PUBLIC_PRECISION) / PUBLIC_PRECISION
+  };
+}
+
+// "minLng,minLat,maxLng,maxLat" (the GeoJSON / Leaflet toBBoxString order)
+export function parseBbox(value) {
+  const parts = String(value || "").split(",").map(Number);
+  if (parts.length !== 4 || parts.some(n => !Number.isFinite(n))) return null;
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (minLng >= maxLng || minLat >= maxLat) return null;
+  return { minLng, minLat, maxLng, maxLat };
+}
+
+export const MAX_ZOOM = 20;
+
+// Points closer than this many screen pixels at the requested zoom share a
+// cluster. Above CLUSTER_UNTIL_ZOOM every update is returned on its own.
+const CLUSTER_RADIUS_PX = 60;
+const CLUSTER_UNTIL_ZOOM = 16;
+
+/*
+ * Grid clustering on a web-map tile scale: each cell is CLUSTER_RADIUS_PX
+ * wide at the given zoom. Degrees are treated as square, which is close
+ * enough this near the equator. Returns a GeoJSON FeatureCollection of
+ * single updates and clusters (with per-category counts), each placed at
+ * the mean of its members.
+ */
+export function clusterIncidents(rows, zoom) {
+  const cell = zoom >= CLUSTER_UNTIL_ZOOM ? 0 : CLUSTER_RADIUS_PX * 360 / (256 * 2 ** zoom);
+  const cells = new Map();
+
+  for (const row of rows) {
+    const id = cell
+      ? `${Math.floor(row.longitude / cell)}:${Math.floor(row.latitude / cell)}`
+      : row.id;
+    if (!cells.has(id)) cells.set(id, []);
+    cells.get(id).push(row);
+  }
+
+  const features = [...cells.values()].map(members => {
+    if (members.length === 1) {
+      const [row] = members;
+      const { latitude, longitude } = publicPosition(row);
+
+      return {
+        type: "Feature",
+        geometry: { type: "Point", coordinates: [longitude, latitude] },
+        properties: {
+          cluster: false,
+          id: row.id,
+          category: row.category,
+          location: row.location,
+          county_code: row.county_code,
+          constituency_code: row.constituency_code,
+          ward_code: row.ward_code,
+          verification_status: row.verification_status,
+          confidence: row.confidence,
+          created_at: row.created_at
+        }
+      };
+    }
+
+    const categories = {};
+    for (const m of members) categories[m.category] = (categories[m.category] || 0) + 1;
+
+    const mean = field => members.reduce((sum, m) => sum + m[field], 0) / members.length;
+    const { latitude, longitude } = publicPosition({ latitude: mean("latitude"), longitude: mean("longitude") });
+
+    return {
+      type: "Feature",
+      geometry: { type: "Point", coordinates: [longitude, latitude] },
+      properties: {
+        cluster: true,
+        point_count: members.length,
+        categories,
+        latest_at: members.reduce((a, m) => (m.created_at > a ? m.created_at : a), members[0].created_at)
+      }
+    };
+  });
+
+  return { type: "FeatureCollection", features };
+}
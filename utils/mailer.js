@@ -1,15 +1,88 @@
+import "dotenv/config";
+import fs from "fs";
+import path from "path";
 import sgMail from "@sendgrid/mail";
+import nodemailer from "nodemailer";
 
-sgMail.setApiKey(process.env.SENDGRID_API_KEY);
-
-export async function sendEmail(to, subject, html) {
-  return sgMail.send({
-    to,
-    from: {
-      email: process.env.EMAIL_FROM,
-      name: "Kenya E-Campaign 🇰🇪"
-    },
-    subject,
-    html
-  });
+/*
+ * Outgoing email transport, chosen with MAIL_TRANSPORT:
+ *
+ *   sendgrid  SendGrid API (SENDGRID_API_KEY)
+ *   smtp      any SMTP server via nodemailer (SMTP_HOST, SMTP_PORT,
+ *             SMTP_SECURE, SMTP_USER, SMTP_PASS)
+ *   file      writes each message as an .eml file to MAIL_DIR (default
+ *             "outbox"), for local testing
+ *   console   prints messages, codes and links included, to the log
+ *
+ * Without MAIL_TRANSPORT, SendGrid is used when a key is set. Anything else
+ * must be asked for by name: with no provider configured the server refuses
+ * to start rather than print one-time codes to stdout. Callers normally go
+ * through utils/notifications.js, which queues and retries; sendEmail
+ * itself throws on failure.
+ */
+
+const FROM = { email: process.env.EMAIL_FROM, name: "Kenya E-Campaign 🇰🇪" };
+
+const transports = {
+  sendgrid() {
+    sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+    return message => sgMail.send({ ...message, from: FROM });
+  },
+
+  smtp() {
+    const mailer = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+    return message => mailer.sendMail({ ...message, from: FROM.email && { address: FROM.email, name: FROM.name } });
+  },
+
+  file() {
+    const dir = path.resolve(process.env.MAIL_DIR || "outbox");
+    const mailer = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+    return async message => {
+      const { message: eml } = await mailer.sendMail({ ...message, from: FROM.email || "noreply@localhost" });
+      await fs.promises.mkdir(dir, { recursive: true });
+      const name = `${new Date().toISOString().replace(/[:.]/g, "-")}-${message.to.replace(/[^\w.@-]/g, "_")}.eml`;
+      await fs.promises.writeFile(path.join(dir, name), eml);
+    };
+  },
+
+  console() {
+    return async message => {
+      console.log(`[mail] to=${message.to} subject=${JSON.stringify(message.subject)}\n${message.text || message.html}`);
+    };
+  }
+};
+
+// Settings each transport can't work without
+const REQUIRED = {
+  sendgrid: ["SENDGRID_API_KEY"],
+  smtp: ["SMTP_HOST"]
+};
+
+export const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT ||
+  (process.env.SENDGRID_API_KEY ? "sendgrid" : null);
+
+if (!MAIL_TRANSPORT) {
+  throw new Error("No mail provider configured: set SENDGRID_API_KEY, or MAIL_TRANSPORT (smtp, file or console)");
+}
+if (!transports[MAIL_TRANSPORT]) {
+  throw new Error(`Unknown MAIL_TRANSPORT: ${MAIL_TRANSPORT}`);
+}
+for (const name of REQUIRED[MAIL_TRANSPORT] || []) {
+  if (!process.env[name]) throw new Error(`MAIL_TRANSPORT=${MAIL_TRANSPORT} needs ${name}`);
+}
+
+let send;
+
+// Throws if the transport refuses the message
+export async function sendEmail(to, subject, html, { text, headers } = {}) {
+  send = send || transports[MAIL_TRANSPORT]();
+  return send({ to, subject, html, text, headers });
 }
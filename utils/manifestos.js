@@ -0,0 +1,35 @@
+import { diffWords, diffStats } from "./diff.js";
+
+/*
+ * Manifestos and their revision history. Every create, edit and withdrawal
+ * appends a row to manifesto_revisions, which the database refuses to
+ * update or delete, so voters can always see what a politician promised
+ * before they changed it. A trigger writes the revision in the same
+ * statement as the change; writers only set manifestos.edited_by.
+ */
+
+export const MANIFESTO_CATEGORIES = [
+  "Youth & Jobs",
+  "Education",
+  "Health",
+  "Economy",
+  "Governance"
+];
+
+export const REVISION_ACTIONS = ["created", "edited", "withdrawn"];
+
+// Revisions oldest first, each with a word diff against the one before
+export function withDiffs(revisions) {
+  return revisions.map((rev, i) => {
+    const previous = revisions[i - 1];
+    if (!previous) return { ...rev, category_changed: false, diff: null, changes: null };
+
+    const diff = diffWords(previous.content, rev.content);
+    return {
+      ...rev,
+      category_changed: previous.category !== rev.category,
+      diff,
+      changes: diffStats(diff)
+    };
+  });
+}
@@ -0,0 +1,357 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import { execFile } from "child_process";
+import { promisify } from "util";
+import multer from "multer";
+import sharp from "sharp";
+import { supabase } from "./supabase.js";
+import { TARGET_TABLES } from "./moderation.js";
+
+/*
+ * Photo and video evidence for ground updates, comments and promise
+ * evidence.
+ *
+ * Files are sniffed by their magic bytes (the client's MIME type is not
+ * trusted), location metadata is stripped unless the reporter opts in, and
+ * thumbnails are generated before anything is stored.
+ *
+ * MEDIA_STORAGE=local (default) writes to UPLOAD_DIR.
+ * MEDIA_STORAGE=supabase writes to the MEDIA_BUCKET storage bucket, which
+ * should be private.
+ *
+ * Either way files are served through /media, and only while the content
+ * they are attached to is visible: evidence on a held, removed or deleted
+ * post is not reachable by its URL.
+ */
+
+export const MAX_FILES = 4;
+
+const LIMITS = {
+  image: 10 * 1024 * 1024,
+  video: 50 * 1024 * 1024
+};
+
+const THUMB_WIDTH = 480;
+
+export const MEDIA_FIELDS = "id, target_id, kind, content_type, url, thumbnail_url, width, height";
+
+// multer middleware for up to MAX_FILES files in the "media" field.
+// Per-type size limits are checked after sniffing.
+export const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: LIMITS.video, files: MAX_FILES }
+}).array("media", MAX_FILES);
+
+// Wraps the multer middleware so upload errors come back as JSON 400s
+export function acceptMedia(req, res, next) {
+  upload(req, res, err => {
+    if (!err) return next();
+    const message = err.code === "LIMIT_FILE_SIZE"
+      ? "Files must be 50 MB or smaller"
+      : err.code === "LIMIT_FILE_COUNT" || err.code === "LIMIT_UNEXPECTED_FILE"
+        ? `Attach at most ${MAX_FILES} files`
+        : "Upload failed";
+    res.status(400).json({ error: message });
+  });
+}
+
+/* =========================
+   TYPE SNIFFING
+========================= */
+export function sniff(buffer) {
+  const hex = buffer.subarray(0, 12).toString("hex");
+  const ascii = buffer.subarray(0, 12).toString("latin1");
+
+  if (hex.startsWith("ffd8ff")) return { kind: "image", type: "image/jpeg", ext: "jpg" };
+  if (hex.startsWith("89504e470d0a1a0a")) return { kind: "image", type: "image/png", ext: "png" };
+  if (ascii.startsWith("RIFF") && ascii.slice(8, 12) === "WEBP") return { kind: "image", type: "image/webp", ext: "webp" };
+  if (ascii.slice(4, 8) === "ftyp") {
+    const brand = ascii.slice(8, 12);
+    if (brand === "qt  ") return { kind: "video", type: "video/quicktime", ext: "mov" };
+    if (["heic", "heix", "mif1"].includes(brand)) return null;
+    return { kind: "video", type: "video/mp4", ext: "mp4" };
+  }
+  if (hex.startsWith("1a45dfa3")) return { kind: "video", type: "video/webm", ext: "webm" };
+
+  return null;
+}
+
+/* =========================
+   LOCATION SCRUBBING
+========================= */
+
+// MP4/MOV keep GPS in "©xyz" and "loci" atoms, and Apple devices also write
+// an ISO 6709 string ("+01.2921+036.8219+1700.000/") in the metadata keys.
+// Atoms are renamed to "free" with their payload zeroed so the file stays
+// valid; stray ISO 6709 strings are blanked in place.
+function scrubVideoLocation(buffer) {
+  const out = Buffer.from(buffer);
+
+  for (const tag of ["\xa9xyz", "loci"]) {
+    const needle = Buffer.from(tag, "latin1");
+    let at = out.indexOf(needle);
+    while (at >= 4) {
+      const size = out.readUInt32BE(at - 4);
+      if (size >= 8 && at - 4 + size <= out.length) {
+        out.write("free", at, "latin1");
+        out.fill(0, at + 4, at - 4 + size);
+      }
+      at = out.indexOf(needle, at + 4);
+    }
+  }
+
+  const text = out.toString("latin1");
+  const iso6709 = /[+-]\d{2}\.\d+[+-]\d{3}\.\d+(?:[+-]\d+(?:\.\d+)?)?\//g;
+  let match;
+  while ((match = iso6709.exec(text))) {
+    out.fill(0x20, match.index, match.index + match[0].length);
+  }
+
+  return out;
+}
+
+/* =========================
+   PROCESSING
+========================= */
+async function processImage(file, keepLocation) {
+  // rotate() bakes in the EXIF orientation before metadata is dropped
+  let pipeline = sharp(file.buffer, { failOn: "error" }).rotate();
+  if (keepLocation) pipeline = pipeline.keepExif();
+
+  const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+
+  const thumbnail = await sharp(data)
+    .resize({ width: THUMB_WIDTH, withoutEnlargement: true })
+    .webp({ quality: 70 })
+    .toBuffer();
+
+  return { data, thumbnail, width: info.width, height: info.height };
+}
+
+const run = promisify(execFile);
+
+// Video posters need ffmpeg. Without FFMPEG_PATH videos are stored without one.
+async function videoPoster(data, ext) {
+  if (!process.env.FFMPEG_PATH) return null;
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "media-"));
+  const input = path.join(dir, `in.${ext}`);
+  const frame = path.join(dir, "poster.jpg");
+
+  try {
+    await fs.writeFile(input, data);
+    await run(process.env.FFMPEG_PATH, [
+      "-hide_banner", "-loglevel", "error",
+      "-ss", "1", "-i", input, "-frames:v", "1", "-y", frame
+    ], { timeout: 20000 });
+
+    return await sharp(await fs.readFile(frame))
+      .resize({ width: THUMB_WIDTH, withoutEnlargement: true })
+      .webp({ quality: 70 })
+      .toBuffer();
+  } catch {
+    return null;
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+// Validates and prepares every file; throws a RangeError naming the first bad one
+export async function prepareMedia(files = [], { keepLocation = false } = {}) {
+  const prepared = [];
+
+  for (const file of files) {
+    const detected = sniff(file.buffer);
+    if (!detected) {
+      throw new RangeError(`${file.originalname}: only JPEG, PNG, WebP, MP4, MOV and WebM files are allowed`);
+    }
+
+    if (file.size > LIMITS[detected.kind]) {
+      throw new RangeError(`${file.originalname}: ${detected.kind}s must be ${LIMITS[detected.kind] / 1024 / 1024} MB or smaller`);
+    }
+
+    if (detected.kind === "image") {
+      try {
+        prepared.push({ ...detected, ...(await processImage(file, keepLocation)) });
+      } catch {
+        throw new RangeError(`${file.originalname}: image could not be read`);
+      }
+    } else {
+      const data = keepLocation ? file.buffer : scrubVideoLocation(file.buffer);
+      prepared.push({ ...detected, data, thumbnail: await videoPoster(data, detected.ext) });
+    }
+  }
+
+  return prepared;
+}
+
+/* =========================
+   STORAGE DRIVERS
+   put(key, buffer, contentType) -> URL under /media
+   send(res, key, contentType) answers a request with the file
+========================= */
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || "uploads");
+
+const mediaUrl = key => `${process.env.PUBLIC_API_URL || ""}/media/${key}`;
+
+// <target_type>/<target_id>/<uuid>.<ext>, or .thumb.webp for thumbnails
+const MEDIA_KEY = /^([a-z_]+\/[0-9a-f-]{36}\/[0-9a-f-]{36})(\.thumb)?\.(jpg|png|webp|mp4|mov|webm)$/;
+
+const CONTENT_TYPES = {
+  jpg: "image/jpeg",
+  png: "image/png",
+  webp: "image/webp",
+  mp4: "video/mp4",
+  mov: "video/quicktime",
+  webm: "video/webm"
+};
+
+export const diskStorage = {
+  dir: UPLOAD_DIR,
+
+  async put(key, buffer) {
+    const file = path.join(UPLOAD_DIR, key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+    return mediaUrl(key);
+  },
+
+  // sendFile handles range requests, so videos can be scrubbed
+  async send(res, key, type) {
+    res.type(type).sendFile(path.join(UPLOAD_DIR, key), err => {
+      if (err && !res.headersSent) res.status(404).json({ error: "Not found" });
+    });
+  },
+
+  async remove(key) {
+    await fs.rm(path.join(UPLOAD_DIR, key), { force: true });
+  }
+};
+
+export const supabaseStorage = {
+  bucket: process.env.MEDIA_BUCKET || "ground-media",
+
+  async put(key, buffer, contentType) {
+    const { error } = await supabase.storage
+      .from(this.bucket)
+      .upload(key, buffer, { contentType, upsert: false });
+
+    if (error) throw new Error(error.message);
+    return mediaUrl(key);
+  },
+
+  async send(res, key, type) {
+    const { data } = await supabase.storage.from(this.bucket).download(key);
+    if (!data) return res.status(404).json({ error: "Not found" });
+    res.type(type).send(Buffer.from(await data.arrayBuffer()));
+  },
+
+  async remove(key) {
+    await supabase.storage.from(this.bucket).remove([key]);
+  }
+};
+
+export const storage = process.env.MEDIA_STORAGE === "supabase" ? supabaseStorage : diskStorage;
+
+/* =========================
+   ATTACHMENTS
+========================= */
+
+// Stores prepared files and links them to a ground update, comment or
+// piece of promise evidence
+export async function attachMedia(target_type, target_id, user_id, prepared, { keepLocation = false } = {}) {
+  const rows = [];
+
+  for (const item of prepared) {
+    const key = `${target_type}/${target_id}/${crypto.randomUUID()}`;
+    const url = await storage.put(`${key}.${item.ext}`, item.data, item.type);
+    const thumbnail_url = item.thumbnail
+      ? await storage.put(`${key}.thumb.webp`, item.thumbnail, "image/webp")
+      : null;
+
+    rows.push({
+      target_type,
+      target_id,
+      user_id,
+      kind: item.kind,
+      content_type: item.type,
+      size: item.data.length,
+      width: item.width || null,
+      height: item.height || null,
+      storage_key: key,
+      url,
+      thumbnail_url,
+      keeps_location: keepLocation
+    });
+  }
+
+  if (!rows.length) return [];
+
+  const { data, error } = await supabase
+    .from("media")
+    .insert(rows)
+    .select(MEDIA_FIELDS);
+
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+// { target_id: [media, ...] } for a page of targets
+export async function mediaFor(target_type, ids) {
+  if (!ids.length) return {};
+
+  const { data } = await supabase
+    .from("media")
+    .select(MEDIA_FIELDS)
+    .eq("target_type", target_type)
+    .in("target_id", ids)
+    .order("created_at", { ascending: true });
+
+  const grouped = {};
+  for (const m of data || []) {
+    (grouped[m.target_id] = grouped[m.target_id] || []).push(m);
+  }
+  return grouped;
+}
+
+/*
+ * The content type of a stored file, or null unless the content it is
+ * attached to is currently public. The media row is found by its storage
+ * key, so files named under a target type that has since been renamed
+ * still resolve.
+ */
+export async function publicMediaType(key) {
+  const match = MEDIA_KEY.exec(String(key || ""));
+  if (!match) return null;
+
+  const { data: media } = await supabase
+    .from("media")
+    .select("target_type, target_id")
+    .eq("storage_key", match[1])
+    .maybeSingle();
+
+  const table = TARGET_TABLES[media?.target_type];
+  if (!table) return null;
+
+  const { data: parent } = await supabase
+    .from(table)
+    .select("*")
+    .eq("id", media.target_id)
+    .maybeSingle();
+
+  if (!parent || parent.moderation_status !== "visible" || parent.deleted_at) return null;
+
+  return CONTENT_TYPES[match[3]];
+}
+
+export async function countMedia(target_type, target_id) {
+  const { count } = await supabase
+    .from("media")
+    .select("*", { count: "exact", head: true })
+    .eq("target_type", target_type)
+    .eq("target_id", target_id);
+
+  return count || 0;
+}
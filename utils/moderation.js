@@ -0,0 +1,191 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { supabase } from "./supabase.js";
+
+/*
+ * Content moderation for everything users write. Text runs through a list of
+ * checks; each returns a score and reasons. The total decides the action:
+ *
+ *   allow  - published straight away
+ *   hold   - stored hidden and queued for a moderator
+ *   reject - refused with a 400
+ *
+ * Lexicons and thresholds come from data/moderation/lexicons.json, or the
+ * file named by MODERATION_LEXICON_PATH. `targets` there overrides the
+ * thresholds per target type (a null reject never rejects). Ground updates
+ * exist to report violence, so words describing it can at most hold one;
+ * when nothing but its incident_categories matched, the verdict says
+ * `incident: true` and the update still counts towards escalations.
+ */
+const DEFAULT_LEXICON = path.join(
+  path.dirname(fileURLToPath(import.meta.url)), "..", "data", "moderation", "lexicons.json"
+);
+
+// Where each moderated target type is stored
+export const TARGET_TABLES = {
+  manifesto: "manifestos",
+  comment: "comments",
+  ground_update: "ground_updates",
+  promise: "promises",
+  promise_evidence: "promise_evidence",
+  achievement: "achievements",
+  politician_profile: "politician_profiles",
+  politician_application: "politician_applications"
+};
+
+/* =========================
+   TEXT NORMALISATION
+========================= */
+const LEET = { "0": "o", "1": "i", "3": "e", "4": "a", "5": "s", "7": "t", "@": "a", "$": "s" };
+
+// Lower-cases, strips accents and undoes common character swaps ("1d10t")
+export function normalise(text) {
+  return String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[013457@$]/g, ch => LEET[ch]);
+}
+
+// "kill them" -> whole-word, whitespace-tolerant regex. "*" matches any
+// letters, so "*chinj*" also catches "wachinje" and "kuchinjwa".
+function termPattern(term) {
+  const body = normalise(term)
+    .trim()
+    .split("*")
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\s+/g, "\\s+"))
+    .join("\\p{L}*");
+
+  return new RegExp(`(?<![\\p{L}\\p{N}])${body}(?![\\p{L}\\p{N}])`, "u");
+}
+
+/* =========================
+   LEXICONS
+========================= */
+let config;
+
+export function loadLexicons(file = process.env.MODERATION_LEXICON_PATH || DEFAULT_LEXICON) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+
+  config = {
+    thresholds: { hold: 3, reject: 6, ...raw.thresholds },
+    targets: raw.targets || {},
+    terms: Object.entries(raw.lexicons || {}).flatMap(([language, terms]) =>
+      terms.map(t => ({ ...t, language, pattern: termPattern(t.term) }))
+    )
+  };
+
+  return config;
+}
+
+loadLexicons();
+
+/* =========================
+   CHECKS
+   check(text, normalised, context) -> { score, reasons: [] }
+========================= */
+function lexiconCheck(text, normalised) {
+  const hits = config.terms.filter(t => t.pattern.test(normalised));
+
+  return {
+    score: hits.reduce((sum, t) => sum + t.weight, 0),
+    reasons: hits.map(t => ({
+      check: "lexicon",
+      term: t.term,
+      language: t.language,
+      category: t.category,
+      weight: t.weight
+    }))
+  };
+}
+
+function linkSpamCheck(text) {
+  const links = (text.match(/https?:\/\/|www\./gi) || []).length;
+  if (links < 3) return { score: 0, reasons: [] };
+
+  return {
+    score: config.thresholds.hold,
+    reasons: [{ check: "links", count: links }]
+  };
+}
+
+const checks = [lexiconCheck, linkSpamCheck];
+
+export function registerCheck(check) {
+  checks.push(check);
+}
+
+/* =========================
+   PIPELINE
+========================= */
+export async function moderate(text, context = {}) {
+  const normalised = normalise(text);
+  let score = 0;
+  const reasons = [];
+
+  for (const check of checks) {
+    const result = await check(String(text || ""), normalised, context);
+    score += result.score || 0;
+    reasons.push(...(result.reasons || []));
+  }
+
+  const target = config.targets[context.target_type] || {};
+  const { hold, reject } = { ...config.thresholds, ...target.thresholds };
+  const action = reject !== null && score >= reject ? "reject" : score >= hold ? "hold" : "allow";
+
+  const incident = action === "hold" && reasons.every(r =>
+    r.check === "lexicon" && (target.incident_categories || []).includes(r.category)
+  );
+
+  return { action, score, reasons, incident };
+}
+
+// The moderation_status column value for a verdict
+export function visibilityFor(verdict) {
+  return verdict.action === "hold" ? "held" : "visible";
+}
+
+/* =========================
+   REVIEW QUEUE
+========================= */
+export async function enqueueForReview({ target_type, target_id, user_id, content, verdict }) {
+  const { error } = await supabase.from("moderation_queue").insert([{
+    target_type,
+    target_id,
+    user_id,
+    content,
+    score: verdict.score,
+    reasons: verdict.reasons,
+    status: "pending"
+  }]);
+
+  if (error) throw new Error(error.message);
+}
+
+/*
+ * Resolves a queued item. "release" publishes the content, "remove" keeps it
+ * hidden for good. Returns the item's { target_type, target_id }, or false
+ * if it is missing or already resolved.
+ */
+export async function resolveReview(queue_id, decision, reviewer_id) {
+  const { data: item } = await supabase
+    .from("moderation_queue")
+    .update({
+      status: decision === "release" ? "released" : "removed",
+      reviewed_by: reviewer_id,
+      reviewed_at: new Date()
+    })
+    .eq("id", queue_id)
+    .eq("status", "pending")
+    .select("target_type, target_id")
+    .single();
+
+  if (!item) return false;
+
+  await supabase.from(TARGET_TABLES[item.target_type])
+    .update({ moderation_status: decision === "release" ? "visible" : "removed" })
+    .eq("id", item.target_id);
+
+  return item;
+}
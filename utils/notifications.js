@@ -0,0 +1,361 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { supabase } from "./supabase.js";
+import { sendEmail } from "./mailer.js";
+
+/*
+ * Email notifications.
+ *
+ * Messages are rendered from named templates, one JSON file per locale in
+ * data/notifications/templates (or NOTIFICATION_TEMPLATES_DIR), and written
+ * to notification_queue before anything is sent. Delivery is attempted
+ * straight away and retried with backoff by the queue worker, so a mail
+ * provider outage never fails the request that caused the email.
+ *
+ * Every template belongs to a category. Account email always goes out;
+ * other categories follow the user's preferences and carry an unsubscribe
+ * link (and List-Unsubscribe headers) signed with UNSUBSCRIBE_SECRET.
+ */
+const DEFAULT_TEMPLATES = path.join(
+  path.dirname(fileURLToPath(import.meta.url)), "..", "data", "notifications", "templates"
+);
+
+export const LOCALES = ["en", "sw"];
+const DEFAULT_LOCALE = "en";
+
+// required categories can't be switched off; the rest default to on
+export const NOTIFICATION_CATEGORIES = {
+  account: { required: true },
+  replies: { required: false },
+  ground: { required: false }
+};
+
+// Which category each template belongs to. Escalation alerts go to
+// responders, who are not users and are managed by admins instead.
+const TEMPLATES = {
+  verify_email: "account",
+  reset_password: "account",
+  account_exists: "account",
+  escalation_opened: null,
+  comment_reply: "replies",
+  ground_verdict: "ground"
+};
+
+export const NOTIFICATION_STATUSES = ["pending", "sending", "sent", "failed"];
+
+// These carry one-time codes and links, so their bodies are wiped once
+// sent, once delivery is given up on, and once the code expires
+const SECRET_TEMPLATES = ["verify_email", "reset_password"];
+
+const wiped = template => SECRET_TEMPLATES.includes(template) && { html: "", text: "" };
+const EXPIRED = "Expired before it could be sent";
+
+const MAX_ATTEMPTS = 6;
+const STALE_SENDING_MINUTES = 10;
+const WORKER_INTERVAL_SECONDS = Number(process.env.NOTIFICATION_WORKER_INTERVAL) || 30;
+
+/* =========================
+   TEMPLATES
+========================= */
+let templates;
+
+export function loadTemplates(dir = process.env.NOTIFICATION_TEMPLATES_DIR || DEFAULT_TEMPLATES) {
+  const loaded = {};
+
+  for (const locale of LOCALES) {
+    const file = path.join(dir, `${locale}.json`);
+    if (fs.existsSync(file)) loaded[locale] = JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+
+  const fallback = loaded[DEFAULT_LOCALE] || {};
+  for (const name of [...Object.keys(TEMPLATES), "_footer"]) {
+    const t = fallback[name];
+    if (!t?.html || !t.text || (name !== "_footer" && !t.subject)) {
+      throw new Error(`Missing ${DEFAULT_LOCALE} notification template: ${name}`);
+    }
+  }
+
+  templates = loaded;
+  return templates;
+}
+
+loadTemplates();
+
+const escapeHtml = value => String(value).replace(/[&<>"']/g, ch => ({
+  "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;"
+})[ch]);
+
+// {{name}} placeholders; values are HTML-escaped in the html part only
+function fill(text, data, escape) {
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => {
+    const value = data[key] ?? "";
+    return escape ? escapeHtml(value) : String(value);
+  });
+}
+
+// Falls back to English for templates a locale hasn't translated yet
+function templateFor(name, locale) {
+  return templates[locale]?.[name] || templates[DEFAULT_LOCALE][name];
+}
+
+export function render(name, locale, data, { unsubscribe_url } = {}) {
+  if (!(name in TEMPLATES)) throw new Error(`Unknown notification template: ${name}`);
+
+  const t = templateFor(name, locale);
+  let html = fill(t.html, data, true);
+  let text = fill(t.text, data, false);
+
+  if (unsubscribe_url) {
+    const footer = templateFor("_footer", locale);
+    const footerData = { category: TEMPLATES[name], unsubscribe_url };
+    html += fill(footer.html, footerData, true);
+    text += fill(footer.text, footerData, false);
+  }
+
+  return { subject: fill(t.subject, data, false), html, text };
+}
+
+/* =========================
+   PREFERENCES & UNSUBSCRIBE
+========================= */
+function unsubscribeSecret() {
+  return process.env.UNSUBSCRIBE_SECRET || process.env.JWT_SECRET || "";
+}
+
+function unsubscribeSignature(user_id, category) {
+  return crypto
+    .createHmac("sha256", unsubscribeSecret())
+    .update(`${user_id}:${category}`)
+    .digest("base64url");
+}
+
+export function unsubscribeUrl(user_id, category) {
+  const params = new URLSearchParams({ u: user_id, c: category, t: unsubscribeSignature(user_id, category) });
+  return `${process.env.PUBLIC_API_URL || ""}/notifications/unsubscribe?${params}`;
+}
+
+export function checkUnsubscribe({ u, c, t }) {
+  if (!u || !c || !t || !NOTIFICATION_CATEGORIES[c] || NOTIFICATION_CATEGORIES[c].required) return false;
+
+  const expected = Buffer.from(unsubscribeSignature(u, c));
+  const given = Buffer.from(String(t));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// { category: enabled } for every category, defaults filled in
+export async function preferencesFor(user_id) {
+  const { data } = await supabase
+    .from("notification_preferences")
+    .select("category, email")
+    .eq("user_id", user_id);
+
+  const saved = new Map((data || []).map(p => [p.category, p.email]));
+
+  return Object.fromEntries(Object.entries(NOTIFICATION_CATEGORIES).map(([category, { required }]) => [
+    category,
+    required ? true : saved.get(category) ?? true
+  ]));
+}
+
+// changes is { category: boolean }; throws RangeError on a bad category
+export async function setPreferences(user_id, changes) {
+  const rows = Object.entries(changes).map(([category, email]) => {
+    if (!NOTIFICATION_CATEGORIES[category]) throw new RangeError(`Unknown notification category: ${category}`);
+    if (NOTIFICATION_CATEGORIES[category].required) throw new RangeError(`${category} emails can't be turned off`);
+    if (typeof email !== "boolean") throw new RangeError(`${category} must be true or false`);
+    return { user_id, category, email, updated_at: new Date() };
+  });
+
+  if (rows.length) {
+    const { error } = await supabase
+      .from("notification_preferences")
+      .upsert(rows, { onConflict: "user_id,category" });
+
+    if (error) throw new Error(error.message);
+  }
+
+  return preferencesFor(user_id);
+}
+
+/* =========================
+   QUEUE
+========================= */
+
+// Minutes to wait after the nth failed attempt: 1, 2, 4, ... capped at 6h
+const backoff = attempts => Math.min(2 ** (attempts - 1), 360);
+
+async function deliver(row) {
+  const { data: claimed } = await supabase
+    .from("notification_queue")
+    .update({ status: "sending", attempts: row.attempts + 1, claimed_at: new Date() })
+    .eq("id", row.id)
+    .eq("status", "pending")
+    .select("id, to_address, template, subject, html, text, headers, attempts, expires_at")
+    .maybeSingle();
+
+  // Another worker got there first
+  if (!claimed) return;
+
+  // A code that can no longer be used isn't worth sending
+  if (claimed.expires_at && new Date(claimed.expires_at) <= new Date()) {
+    await supabase
+      .from("notification_queue")
+      .update({ status: "failed", last_error: EXPIRED, ...wiped(claimed.template) })
+      .eq("id", claimed.id);
+    return;
+  }
+
+  try {
+    await sendEmail(claimed.to_address, claimed.subject, claimed.html, {
+      text: claimed.text,
+      headers: claimed.headers || undefined
+    });
+
+    await supabase
+      .from("notification_queue")
+      .update({
+        status: "sent",
+        sent_at: new Date(),
+        last_error: null,
+        ...wiped(claimed.template)
+      })
+      .eq("id", claimed.id);
+  } catch (err) {
+    const giveUp = claimed.attempts >= MAX_ATTEMPTS;
+
+    await supabase
+      .from("notification_queue")
+      .update({
+        status: giveUp ? "failed" : "pending",
+        last_error: String(err.response?.body?.errors?.[0]?.message || err.message).slice(0, 500),
+        next_attempt_at: new Date(Date.now() + backoff(claimed.attempts) * 60e3),
+        ...(giveUp && wiped(claimed.template))
+      })
+      .eq("id", claimed.id);
+  }
+}
+
+async function enqueue(template, { to, user_id = null, locale, data, unsubscribe_url, expires_at = null }) {
+  const message = render(template, locale, data, { unsubscribe_url });
+
+  const headers = unsubscribe_url ? {
+    "List-Unsubscribe": `<${unsubscribe_url}>`,
+    "List-Unsubscribe-Post": "List-Unsubscribe=One-Click"
+  } : null;
+
+  const { data: row, error } = await supabase
+    .from("notification_queue")
+    .insert([{
+      user_id,
+      to_address: to,
+      template,
+      locale,
+      ...message,
+      headers,
+      expires_at,
+      status: "pending",
+      attempts: 0,
+      next_attempt_at: new Date()
+    }])
+    .select("id, attempts")
+    .single();
+
+  if (error) throw new Error(error.message);
+
+  // First attempt right away; failures stay queued for the worker
+  deliver(row).catch(err => console.error("Notification delivery failed:", err.message));
+
+  return row.id;
+}
+
+// Email to an address that isn't tied to a user's preferences. Messages
+// with an expires_at are dropped, unsent, once it passes.
+export function notify(template, { to, locale = DEFAULT_LOCALE, data = {}, expires_at = null }) {
+  return enqueue(template, { to, locale: LOCALES.includes(locale) ? locale : DEFAULT_LOCALE, data, expires_at });
+}
+
+/*
+ * Email to a user in their own language. Returns the queue id, or null if
+ * they have no address or have switched this category off.
+ */
+export async function notifyUser(template, user_id, data = {}) {
+  const category = TEMPLATES[template];
+
+  const { data: user } = await supabase
+    .from("users")
+    .select("id, email, locale")
+    .eq("id", user_id)
+    .single();
+
+  if (!user?.email) return null;
+
+  const required = NOTIFICATION_CATEGORIES[category]?.required;
+  if (!required && !(await preferencesFor(user_id))[category]) return null;
+
+  return enqueue(template, {
+    to: user.email,
+    user_id,
+    locale: LOCALES.includes(user.locale) ? user.locale : DEFAULT_LOCALE,
+    data,
+    unsubscribe_url: required ? null : unsubscribeUrl(user_id, category)
+  });
+}
+
+// Puts a failed message back in line for an immediate attempt. Expired
+// ones have nothing left to send.
+export async function retryNotification(id) {
+  const { data: row } = await supabase
+    .from("notification_queue")
+    .update({ status: "pending", next_attempt_at: new Date() })
+    .eq("id", id)
+    .eq("status", "failed")
+    .or(`expires_at.is.null,expires_at.gt.${new Date().toISOString()}`)
+    .select("id, attempts")
+    .maybeSingle();
+
+  if (!row) return false;
+
+  deliver(row).catch(err => console.error("Notification delivery failed:", err.message));
+  return true;
+}
+
+// One pass over everything that is due, oldest first
+export async function processQueue({ limit = 50 } = {}) {
+  // Messages claimed by a worker that died mid-send go back in line
+  await supabase
+    .from("notification_queue")
+    .update({ status: "pending" })
+    .eq("status", "sending")
+    .lt("claimed_at", new Date(Date.now() - STALE_SENDING_MINUTES * 60e3).toISOString());
+
+  // Expired codes waiting on a backoff are dropped now rather than when due
+  await supabase
+    .from("notification_queue")
+    .update({ status: "failed", last_error: EXPIRED, html: "", text: "" })
+    .eq("status", "pending")
+    .lt("expires_at", new Date().toISOString());
+
+  const { data: due } = await supabase
+    .from("notification_queue")
+    .select("id, attempts")
+    .eq("status", "pending")
+    .lte("next_attempt_at", new Date().toISOString())
+    .order("next_attempt_at", { ascending: true })
+    .limit(limit);
+
+  for (const row of due || []) await deliver(row);
+
+  return (due || []).length;
+}
+
+export function startQueueWorker() {
+  const timer = setInterval(() => {
+    processQueue().catch(err => console.error("Notification queue pass failed:", err.message));
+  }, WORKER_INTERVAL_SECONDS * 1000);
+
+  // Don't keep the process alive just for the queue
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,179 @@
+import crypto from "crypto";
+import { supabase } from "./supabase.js";
+import { hashToken } from "./auth.js";
+import { sendSms } from "./sms.js";
+import { notify } from "./notifications.js";
+import { codeFailed, clearCodeFailures } from "./ratelimit.js";
+
+/*
+ * One-time codes and links, for sign-up, email verification, SMS login,
+ * linking a phone or email to an account, and password resets.
+ *
+ * Each code is six random digits. Emails also carry a magic link with a
+ * 256-bit token, so the reader can click instead of typing; either one
+ * uses up both. Only hashes are stored. Asking again retires the previous
+ * code, and too many wrong guesses (code_attempts in
+ * data/ratelimits/limits.json) retire it as well. A pending action's
+ * details (e.g. the username and password hash of a phone sign-up) ride
+ * along in `payload` so nothing is written to users until it is confirmed.
+ */
+
+export const OTP_PURPOSES = ["register", "verify_email", "login", "link_phone", "link_email", "reset"];
+export const OTP_TTL_MINUTES = 10;
+
+// Emails can wait in the notification queue, so they get longer
+export const EMAIL_TTL_MINUTES = 30;
+
+const EMAIL_TEMPLATES = {
+  verify_email: "verify_email",
+  link_email: "verify_email",
+  reset: "reset_password"
+};
+
+// Where each emailed link lands: the API confirms addresses itself, while
+// a reset link opens the page that asks for the new password
+const LINK_PATHS = {
+  verify_email: "/verify-email",
+  link_email: "/verify-email",
+  reset: "/reset.html"
+};
+
+const RESEND_SECONDS = 60;
+
+const SMS_TEXT = {
+  en: (code, minutes) => `${code} is your Kenya E-Campaign code. It expires in ${minutes} minutes. Never share it.`,
+  sw: (code, minutes) => `${code} ni nambari yako ya Kenya E-Campaign. Itaisha baada ya dakika ${minutes}. Usimpe mtu yeyote.`
+};
+
+const EXISTS_TEXT = {
+  en: "Someone tried to sign up to Kenya E-Campaign with this number, which already has an account. If it was you, log in or reset your password.",
+  sw: "Mtu amejaribu kujisajili Kenya E-Campaign kwa nambari hii, ambayo tayari ina akaunti. Kama ni wewe, ingia au badilisha nenosiri."
+};
+
+const codeHash = (purpose, destination, code) => hashToken(`${purpose}:${destination}:${code}`);
+
+const magicLink = (purpose, token) =>
+  `${process.env.PUBLIC_API_URL || ""}${LINK_PATHS[purpose]}?token=${token}`;
+
+/*
+ * Issues a code and sends it. Throws RangeError if one was sent to the same
+ * place for the same purpose less than RESEND_SECONDS ago; delivery errors
+ * are thrown as they are.
+ */
+export async function sendCode({ channel, destination, purpose, payload = null, user_id = null, locale = "en" }) {
+  const { data: recent } = await supabase
+    .from("otp_codes")
+    .select("id")
+    .eq("destination", destination)
+    .eq("purpose", purpose)
+    .gte("created_at", new Date(Date.now() - RESEND_SECONDS * 1000).toISOString())
+    .limit(1);
+
+  if (recent?.length) {
+    throw new RangeError("A code was sent recently. Please wait a minute before asking again.");
+  }
+
+  // Only the newest code for a destination and purpose works
+  await retireCodes(destination, purpose);
+
+  const code = crypto.randomInt(0, 1e6).toString().padStart(6, "0");
+  const token = channel === "email" && LINK_PATHS[purpose] ? crypto.randomBytes(32).toString("base64url") : null;
+  const minutes = channel === "email" ? EMAIL_TTL_MINUTES : OTP_TTL_MINUTES;
+  const expires_at = new Date(Date.now() + minutes * 60e3);
+
+  const { error } = await supabase.from("otp_codes").insert([{
+    channel,
+    destination,
+    purpose,
+    user_id,
+    payload,
+    code_hash: codeHash(purpose, destination, code),
+    token_hash: token && hashToken(token),
+    expires_at
+  }]);
+
+  if (error) throw new Error(error.message);
+
+  await clearCodeFailures(`${purpose}:${destination}`);
+
+  if (channel === "sms") {
+    await sendSms(destination, (SMS_TEXT[locale] || SMS_TEXT.en)(code, minutes));
+  } else {
+    await notify(EMAIL_TEMPLATES[purpose] || "verify_email", {
+      to: destination,
+      locale,
+      data: { code, minutes, link: token ? magicLink(purpose, token) : "" },
+      expires_at
+    });
+  }
+}
+
+// Tells whoever holds an email or number that someone tried to sign up
+// with it, so the sign-up itself can answer as if nothing was wrong
+export async function sendAccountExists({ channel, destination, locale = "en" }) {
+  if (channel === "sms") {
+    await sendSms(destination, EXISTS_TEXT[locale] || EXISTS_TEXT.en);
+  } else {
+    await notify("account_exists", { to: destination, locale });
+  }
+}
+
+// The code's row (with user_id and payload) if it is right, live and
+// unused; it is used up in the same step. Null otherwise.
+export async function consumeCode({ destination, purpose, code }) {
+  const data = /^\d{6}$/.test(String(code || "")) && await useCode(destination, purpose, String(code));
+
+  if (data) {
+    await clearCodeFailures(`${purpose}:${destination}`);
+    return data;
+  }
+
+  if (await codeFailed(`${purpose}:${destination}`)) {
+    await retireCodes(destination, purpose);
+  }
+
+  return null;
+}
+
+async function useCode(destination, purpose, code) {
+  const { data } = await supabase
+    .from("otp_codes")
+    .update({ consumed_at: new Date() })
+    .eq("destination", destination)
+    .eq("purpose", purpose)
+    .eq("code_hash", codeHash(purpose, destination, code))
+    .is("consumed_at", null)
+    .gt("expires_at", new Date().toISOString())
+    .select("id, user_id, payload")
+    .maybeSingle();
+
+  return data;
+}
+
+// Same as consumeCode, for the token in an emailed link. `purposes` limits
+// which kinds of link the caller accepts; the row's purpose and
+// destination come back with it.
+export async function consumeToken(token, purposes) {
+  if (!/^[\w-]{43}$/.test(String(token || ""))) return null;
+
+  const { data } = await supabase
+    .from("otp_codes")
+    .update({ consumed_at: new Date() })
+    .eq("token_hash", hashToken(token))
+    .in("purpose", purposes)
+    .is("consumed_at", null)
+    .gt("expires_at", new Date().toISOString())
+    .select("id, user_id, purpose, destination, payload")
+    .maybeSingle();
+
+  return data || null;
+}
+
+function retireCodes(destination, purpose) {
+  return supabase
+    .from("otp_codes")
+    .update({ consumed_at: new Date() })
+    .eq("destination", destination)
+    .eq("purpose", purpose)
+    .is("consumed_at", null);
+}
@@ -0,0 +1,57 @@
+/*
+ * Keyset (cursor) pagination over (created_at, id). Cursors are opaque
+ * base64url strings so clients never build them by hand.
+ *
+ *   const limit = parseLimit(req.query.limit);
+ *   let query = supabase.from("t").select("*").order("created_at").order("id");
+ *   query = afterCursor(query, req.query.cursor, { ascending: true });
+ *   const { data } = await query.limit(limit + 1);
+ *   res.json(page(data, limit));
+ */
+
+export function parseLimit(value, { fallback = 20, max = 100 } = {}) {
+  const n = parseInt(value, 10);
+  if (!Number.isFinite(n) || n < 1) return fallback;
+  return Math.min(n, max);
+}
+
+export function encodeCursor(row) {
+  return Buffer.from(JSON.stringify([row.created_at, row.id])).toString("base64url");
+}
+
+export function decodeCursor(cursor) {
+  if (!cursor) return null;
+
+  try {
+    const [created_at, id] = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+    if (!created_at || !id || isNaN(new Date(created_at))) return null;
+    return { created_at, id };
+  } catch {
+    return null;
+  }
+}
+
+// Restricts the query to rows after the cursor in the given sort direction.
+// Throws on a malformed cursor so routes can answer 400.
+export function afterCursor(query, cursor, { ascending = false } = {}) {
+  if (!cursor) return query;
+
+  const position = decodeCursor(cursor);
+  if (!position) throw new RangeError("Invalid cursor");
+
+  const op = ascending ? "gt" : "lt";
+  const at = `"${position.created_at}"`;
+
+  return query.or(`created_at.${op}.${at},and(created_at.eq.${at},id.${op}.${position.id})`);
+}
+
+// Expects limit + 1 rows; the extra row only signals that another page exists.
+export function page(rows, limit) {
+  const items = (rows || []).slice(0, limit);
+  const more = (rows || []).length > limit;
+
+  return {
+    items,
+    next_cursor: more ? encodeCursor(items[items.length - 1]) : null
+  };
+}
@@ -0,0 +1,252 @@
+import { supabase } from "./supabase.js";
+
+/* =========================
+   APPLICATION FEES (KES)
+========================= */
+export const SEAT_FEES = {
+  "MCA": 2000,
+  "MP": 5000,
+  "Woman Rep": 5000,
+  "Senator": 7500,
+  "Governor": 10000,
+  "President": 20000
+};
+
+export function feeForSeat(seat) {
+  return SEAT_FEES[seat] ?? null;
+}
+
+// M-Pesa receipts are 10 upper-case alphanumerics, e.g. "SGR7XK2P1Q".
+export function normaliseReceipt(code) {
+  const value = String(code || "").trim().toUpperCase();
+  return /^[A-Z0-9]{10}$/.test(value) ? value : null;
+}
+
+// 07XXXXXXXX / 01XXXXXXXX / +2547XXXXXXXX -> 2547XXXXXXXX (Daraja format)
+export function normaliseMsisdn(phone) {
+  const digits = String(phone || "").replace(/\D/g, "");
+  if (/^254[17]\d{8}$/.test(digits)) return digits;
+  if (/^0[17]\d{8}$/.test(digits)) return "254" + digits.slice(1);
+  if (/^[17]\d{8}$/.test(digits)) return "254" + digits;
+  return null;
+}
+
+/* =========================
+   DARAJA CLIENT
+   DARAJA_BASE_URL can point at a local mock (npm run mock:daraja).
+========================= */
+const DARAJA_BASE_URL = process.env.DARAJA_BASE_URL || "https://sandbox.safaricom.co.ke";
+
+function timestamp(date = new Date()) {
+  const pad = n => String(n).padStart(2, "0");
+  return date.getFullYear() +
+    pad(date.getMonth() + 1) +
+    pad(date.getDate()) +
+    pad(date.getHours()) +
+    pad(date.getMinutes()) +
+    pad(date.getSeconds());
+}
+
+async function darajaToken() {
+  const credentials = Buffer
+    .from(`${process.env.MPESA_CONSUMER_KEY}:${process.env.MPESA_CONSUMER_SECRET}`)
+    .toString("base64");
+
+  const res = await fetch(`${DARAJA_BASE_URL}/oauth/v1/generate?grant_type=client_credentials`, {
+    headers: { Authorization: `Basic ${credentials}` }
+  });
+
+  if (!res.ok) throw new Error(`Daraja auth failed (${res.status})`);
+  const { access_token } = await res.json();
+  return access_token;
+}
+
+// Sends an STK push prompt to the payer's phone. Daraja reports the outcome
+// later on the callback URL.
+export async function requestStkPush({ phone, amount, reference, description }) {
+  const shortcode = process.env.MPESA_SHORTCODE;
+  const time = timestamp();
+  const password = Buffer
+    .from(shortcode + process.env.MPESA_PASSKEY + time)
+    .toString("base64");
+
+  const res = await fetch(`${DARAJA_BASE_URL}/mpesa/stkpush/v1/processrequest`, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${await darajaToken()}`,
+      "Content-Type": "application/json"
+    },
+    body: JSON.stringify({
+      BusinessShortCode: shortcode,
+      Password: password,
+      Timestamp: time,
+      TransactionType: process.env.MPESA_TRANSACTION_TYPE || "CustomerBuyGoodsOnline",
+      Amount: amount,
+      PartyA: phone,
+      PartyB: process.env.MPESA_TILL || shortcode,
+      PhoneNumber: phone,
+      CallBackURL: `${process.env.PUBLIC_API_URL}/payments/mpesa/stk-callback?token=${process.env.MPESA_CALLBACK_TOKEN}`,
+      AccountReference: reference,
+      TransactionDesc: description
+    })
+  });
+
+  const body = await res.json();
+  if (!res.ok || body.ResponseCode !== "0") {
+    throw new Error(body.errorMessage || body.ResponseDescription || "STK push failed");
+  }
+
+  return {
+    merchant_request_id: body.MerchantRequestID,
+    checkout_request_id: body.CheckoutRequestID
+  };
+}
+
+// Daraja does not sign callbacks, so the callback URLs carry a shared token.
+export function isTrustedCallback(req) {
+  return !!process.env.MPESA_CALLBACK_TOKEN &&
+    req.query.token === process.env.MPESA_CALLBACK_TOKEN;
+}
+
+// Pulls { receipt, amount, phone } out of an STK callback's metadata items.
+export function parseStkMetadata(items = []) {
+  const get = name => items.find(i => i.Name === name)?.Value;
+  return {
+    receipt: get("MpesaReceiptNumber"),
+    amount: Number(get("Amount")),
+    phone: get("PhoneNumber") ? String(get("PhoneNumber")) : null
+  };
+}
+
+/* =========================
+   LEDGER & RECONCILIATION
+========================= */
+
+// Stores a confirmed M-Pesa transaction. Receipts are unique, so replays of
+// the same callback are ignored.
+export async function recordTransaction({ receipt, amount, phone, account_ref, source, raw }) {
+  const { error } = await supabase
+    .from("mpesa_transactions")
+    .upsert([{
+      receipt,
+      amount,
+      phone,
+      account_ref,
+      source,
+      raw
+    }], { onConflict: "receipt", ignoreDuplicates: true });
+
+  if (error) throw new Error(error.message);
+}
+
+// The reference applicants are asked to quote (STK pushes send the same)
+export function applicationReference(application_id) {
+  return String(application_id).slice(0, 12).toUpperCase();
+}
+
+async function paidByApplicant(application_id, trans) {
+  const ref = String(trans.account_ref || "").trim().toUpperCase();
+  if (ref && (ref === applicationReference(application_id) || ref === String(application_id).toUpperCase())) {
+    return true;
+  }
+
+  const payer = normaliseMsisdn(trans.phone);
+  if (!payer) return false;
+
+  const [{ data: application }, { data: requests }] = await Promise.all([
+    supabase
+      .from("politician_applications")
+      .select("users(phone, phone_verified)")
+      .eq("id", application_id)
+      .single(),
+    // Only a completed push for this very receipt shows the applicant
+    // controls the paying number; unanswered pushes prove nothing
+    supabase
+      .from("payment_requests")
+      .select("phone")
+      .eq("application_id", application_id)
+      .eq("status", "completed")
+      .eq("mpesa_receipt", trans.receipt)
+  ]);
+
+  const user = application?.users;
+  const phones = (requests || []).map(r => r.phone);
+  if (user?.phone_verified) phones.push(user.phone);
+
+  return phones.some(phone => normaliseMsisdn(phone) === payer);
+}
+
+/*
+ * Tries to settle an application against the ledger. Returns one of:
+ *   "paid"       - receipt found, amount covers the fee, application moved to pending
+ *   "unverified" - receipt not (yet) reported by Daraja
+ *   "used"       - receipt already settled another application
+ *   "underpaid"  - receipt amount is below the seat fee
+ *   "mismatch"   - the payment isn't the applicant's: neither its account
+ *                  reference nor the paying number matches them
+ *
+ * A receipt code alone proves nothing (it is printed on the payer's SMS
+ * and easy to share), so the payment must also carry the application's
+ * reference or come from a number the applicant has verified, or be the
+ * receipt of a completed STK push on this application.
+ */
+export async function settleApplication(application) {
+  if (!application.mpesa_code) return "unverified";
+
+  const { data: trans } = await supabase
+    .from("mpesa_transactions")
+    .select("receipt, amount, phone, account_ref, application_id")
+    .eq("receipt", application.mpesa_code)
+    .single();
+
+  if (!trans) return "unverified";
+  if (trans.application_id && trans.application_id !== application.id) return "used";
+
+  if (!(await paidByApplicant(application.id, trans))) {
+    await supabase.from("politician_applications")
+      .update({ payment_status: "mismatch" })
+      .eq("id", application.id);
+    return "mismatch";
+  }
+  if (Number(trans.amount) < Number(application.fee)) {
+    await supabase.from("politician_applications")
+      .update({ payment_status: "underpaid" })
+      .eq("id", application.id);
+    return "underpaid";
+  }
+
+  // Claim the receipt first; the null check stops two applications racing for it
+  const { data: claimed } = await supabase
+    .from("mpesa_transactions")
+    .update({ application_id: application.id })
+    .eq("receipt", trans.receipt)
+    .or(`application_id.is.null,application_id.eq.${application.id}`)
+    .select("receipt");
+
+  if (!claimed?.length) return "used";
+
+  await supabase.from("politician_applications")
+    .update({
+      status: "pending",
+      payment_status: "paid",
+      paid_at: new Date()
+    })
+    .eq("id", application.id)
+    .eq("status", "awaiting_payment");
+
+  return "paid";
+}
+
+// Called when a new receipt lands: settles any application already
+// waiting on that code.
+export async function settleByReceipt(receipt) {
+  const { data: apps } = await supabase
+    .from("politician_applications")
+    .select("id, fee, mpesa_code, status")
+    .eq("mpesa_code", receipt)
+    .eq("status", "awaiting_payment");
+
+  for (const app of apps || []) {
+    await settleApplication(app);
+  }
+}
@@ -0,0 +1,196 @@
+import { supabase } from "./supabase.js";
+import { requireAuth } from "./auth.js";
+
+/* =========================
+   ROLES & PERMISSIONS
+========================= */
+export const ROLES = ["citizen", "politician", "moderator", "admin"];
+
+// Which roles may perform each action. Admins are always allowed.
+export const PERMISSIONS = {
+  "users:read": [],
+  "applications:read": [],
+  "applications:review": [],
+  "application:create": ["citizen"],
+  "manifesto:create": ["politician"],
+  "profile:read": ["politician"],
+  "profile:update": ["politician"],
+  "achievement:create": ["politician"],
+  "promise:create": ["politician"],
+  "promise:evidence": ["citizen"],
+  "comment:create": ["citizen", "politician", "moderator"],
+  "rating:create": ["citizen", "politician", "moderator"],
+  "ground:create": ["citizen", "politician", "moderator"],
+  "ground:interact": ["citizen", "politician", "moderator"],
+  "incidents:verify": [],
+  "escalations:manage": ["moderator"],
+  "escalations:configure": [],
+  "notifications:manage": [],
+  "content:moderate": ["moderator"],
+  "report:create": ["citizen", "politician", "moderator"],
+  "reports:manage": ["moderator"],
+  "users:suspend": [],
+  "users:follow": ["citizen", "politician", "moderator"]
+};
+
+// Accounts created before roles were formalised signed up as "voter".
+export function roleOf(user) {
+  if (!user) return null;
+  return ROLES.includes(user.role) ? user.role : "citizen";
+}
+
+export function can(user, permission) {
+  const role = roleOf(user);
+  if (!role) return false;
+  if (role === "admin") return true;
+
+  const allowed = PERMISSIONS[permission];
+  if (!allowed) throw new Error(`Unknown permission: ${permission}`);
+
+  return allowed.includes(role);
+}
+
+/* =========================
+   OWNERSHIP RULES
+   Each resolver returns the user_id that owns the target resource.
+========================= */
+export const owners = {
+  async politicianProfile(profile_id) {
+    if (!profile_id) return null;
+
+    const { data } = await supabase
+      .from("politician_profiles")
+      .select("user_id")
+      .eq("id", profile_id)
+      .single();
+
+    return data?.user_id || null;
+  },
+
+  async politicianApplication(application_id) {
+    if (!application_id) return null;
+
+    const { data } = await supabase
+      .from("politician_applications")
+      .select("user_id")
+      .eq("id", application_id)
+      .single();
+
+    return data?.user_id || null;
+  },
+
+  async manifesto(manifesto_id) {
+    if (!manifesto_id) return null;
+
+    const { data } = await supabase
+      .from("manifestos")
+      .select("politician_profiles(user_id)")
+      .eq("id", manifesto_id)
+      .is("deleted_at", null)
+      .single();
+
+    return data?.politician_profiles?.user_id || null;
+  },
+
+  async promise(promise_id) {
+    if (!promise_id) return null;
+
+    const { data } = await supabase
+      .from("promises")
+      .select("politician_profiles(user_id)")
+      .eq("id", promise_id)
+      .single();
+
+    return data?.politician_profiles?.user_id || null;
+  },
+
+  async groundUpdate(ground_id) {
+    if (!ground_id) return null;
+
+    const { data } = await supabase
+      .from("ground_updates")
+      .select("user_id")
+      .eq("id", ground_id)
+      .single();
+
+    return data?.user_id || null;
+  },
+
+  async comment(comment_id) {
+    if (!comment_id) return null;
+
+    const { data } = await supabase
+      .from("comments")
+      .select("user_id")
+      .eq("id", comment_id)
+      .is("deleted_at", null)
+      .single();
+
+    return data?.user_id || null;
+  }
+};
+
+/*
+ * Route guard. Authenticates the caller, checks the role matrix and, when an
+ * `owner` resolver is given, confirms the caller owns the target. Admins
+ * bypass ownership checks unless `allowAdmin` is false, for records only
+ * their author should ever change.
+ *
+ *   app.post("/x", authorize("profile:update", {
+ *     owner: req => owners.politicianProfile(req.body.politician_id)
+ *   }), handler)
+ */
+export function authorize(permission, { owner, allowAdmin = true } = {}) {
+  const check = async (req, res, next) => {
+    if (!can(req.user, permission)) {
+      return res.status(403).json({ error: "You do not have permission to do this" });
+    }
+
+    if (owner && (roleOf(req.user) !== "admin" || !allowAdmin)) {
+      try {
+        const owner_id = await owner(req);
+        if (!owner_id) {
+          return res.status(404).json({ error: "Not found" });
+        }
+        if (owner_id !== req.user.id) {
+          return res.status(403).json({ error: "You can only change your own records" });
+        }
+      } catch (err) {
+        return res.status(500).json({ error: "Server error" });
+      }
+    }
+
+    next();
+  };
+
+  return [requireAuth, check];
+}
+
+/* =========================
+   RESPONSE SHAPING
+========================= */
+export const SECRET_FIELDS = [
+  "password_hash",
+  "code_hash",
+  "token_hash",
+  "refresh_token_hash"
+];
+
+export function stripSecrets(value) {
+  if (Array.isArray(value)) return value.map(stripSecrets);
+  if (!value || typeof value !== "object" || value instanceof Date) return value;
+
+  const out = {};
+  for (const [key, val] of Object.entries(value)) {
+    if (!SECRET_FIELDS.includes(key)) out[key] = stripSecrets(val);
+  }
+  return out;
+}
+
+// Last line of defence: scrub secret columns from every JSON response,
+// even if a handler selects "*" by mistake.
+export function secretFilter(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = body => json(stripSecrets(body));
+  next();
+}
@@ -0,0 +1,55 @@
+import crypto from "crypto";
+import { supabase } from "./supabase.js";
+import { normaliseMsisdn } from "./payments.js";
+
+/*
+ * Phone numbers and phone-based accounts.
+ *
+ * Numbers are stored in E.164 form (+2547XXXXXXXX / +2541XXXXXXXX). A
+ * number that reaches us from the mobile network in a USSD or SMS callback
+ * is vouched for by the carrier, so accounts created that way start with
+ * phone_verified set.
+ */
+
+// 07XXXXXXXX / 01XXXXXXXX / 2547XXXXXXXX / +254 7XX XXX XXX -> +2547XXXXXXXX
+export function normalisePhone(phone) {
+  const msisdn = normaliseMsisdn(phone);
+  return msisdn ? `+${msisdn}` : null;
+}
+
+// 0712***678, for screens and logs
+export function maskPhone(phone) {
+  const local = `0${String(phone).slice(-9)}`;
+  return `${local.slice(0, 4)}***${local.slice(-3)}`;
+}
+
+const ACCOUNT_FIELDS = "id, username, role, is_active, phone, created_at";
+
+// The account for a carrier-supplied number, created on first contact
+export async function accountForPhone(phone) {
+  const { data: existing } = await supabase
+    .from("users")
+    .select(ACCOUNT_FIELDS)
+    .eq("phone", phone)
+    .maybeSingle();
+
+  if (existing) return existing;
+
+  const { data: created, error } = await supabase
+    .from("users")
+    .insert([{
+      username: `voter_${phone.slice(-4)}${crypto.randomBytes(3).toString("hex")}`,
+      phone,
+      phone_verified: true,
+      role: "citizen",
+      is_active: true
+    }])
+    .select(ACCOUNT_FIELDS)
+    .single();
+
+  // Two callbacks for a new number can race; the loser reads the winner's row
+  if (error?.code === "23505") return accountForPhone(phone);
+  if (error) throw new Error(error.message);
+
+  return created;
+}
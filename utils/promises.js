@@ -0,0 +1,106 @@
+import { supabase } from "./supabase.js";
+import { roleOf } from "./permissions.js";
+
+/*
+ * Campaign promises: what a politician pledged, by when, and how anyone
+ * will know it happened. Status moves through pledged -> in_progress ->
+ * fulfilled | broken, and every move is logged in promise_status_changes.
+ *
+ * Politicians can report their own progress, but only an admin can call a
+ * promise broken or reopen a settled one.
+ */
+
+export const PROMISE_STATUSES = ["pledged", "in_progress", "fulfilled", "broken"];
+
+// What each status may move to, by who is asking
+const TRANSITIONS = {
+  owner: {
+    pledged: ["in_progress", "fulfilled"],
+    in_progress: ["fulfilled"],
+    fulfilled: [],
+    broken: []
+  },
+  admin: {
+    pledged: ["in_progress", "fulfilled", "broken"],
+    in_progress: ["pledged", "fulfilled", "broken"],
+    fulfilled: ["in_progress", "broken"],
+    broken: ["in_progress", "fulfilled"]
+  }
+};
+
+// Evidence says which status it backs up
+export const EVIDENCE_SHOWS = ["in_progress", "fulfilled", "broken"];
+
+export const PROMISE_FIELDS = `
+  id,
+  politician_id,
+  manifesto_id,
+  content,
+  category,
+  outcome,
+  target_date,
+  status,
+  status_changed_at,
+  created_at
+`;
+
+export function canMoveTo(user, from, to) {
+  const rules = roleOf(user) === "admin" ? TRANSITIONS.admin : TRANSITIONS.owner;
+  return rules[from]?.includes(to) || false;
+}
+
+export async function changeStatus(promise, status, actor_id, note = null) {
+  const { error } = await supabase
+    .from("promises")
+    .update({ status, status_changed_at: new Date() })
+    .eq("id", promise.id)
+    .eq("status", promise.status);
+
+  if (error) throw new Error(error.message);
+
+  await supabase.from("promise_status_changes").insert([{
+    promise_id: promise.id,
+    from_status: promise.status,
+    to_status: status,
+    actor_id,
+    note
+  }]);
+}
+
+// Promises past their target date that are still open
+export function isOverdue(promise, now = new Date()) {
+  return ["pledged", "in_progress"].includes(promise.status) &&
+    !!promise.target_date &&
+    new Date(promise.target_date) < now;
+}
+
+/*
+ * Fulfilment scorecard for a set of promises. The rate only counts settled
+ * promises, so a fresh pledge doesn't drag it down; it is null until at
+ * least one promise is settled.
+ */
+export function scorecard(promises) {
+  const counts = Object.fromEntries(PROMISE_STATUSES.map(s => [s, 0]));
+  const byCategory = {};
+  let overdue = 0;
+
+  for (const p of promises) {
+    counts[p.status]++;
+    if (isOverdue(p)) overdue++;
+
+    byCategory[p.category] = byCategory[p.category] || { total: 0, fulfilled: 0, broken: 0 };
+    byCategory[p.category].total++;
+    if (p.status === "fulfilled") byCategory[p.category].fulfilled++;
+    if (p.status === "broken") byCategory[p.category].broken++;
+  }
+
+  const settled = counts.fulfilled + counts.broken;
+
+  return {
+    total: promises.length,
+    ...counts,
+    overdue,
+    fulfilment_rate: settled ? Math.round(counts.fulfilled / settled * 100) / 100 : null,
+    by_category: byCategory
+  };
+}
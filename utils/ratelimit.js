@@ -0,0 +1,299 @@
+import "dotenv/config";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import Redis from "ioredis";
+import { hashToken } from "./auth.js";
+import { normalisePhone } from "./phone.js";
+
+/*
+ * Rate limits, login lockout and wrong-code counters.
+ *
+ * A named limit ("send_code", "comment", ...) caps requests per window for
+ * one or more keys:
+ *
+ *   ip       the client address (set TRUST_PROXY behind a load balancer)
+ *   account  the signed-in user
+ *   target   the email address or phone number a request is aimed at, so
+ *            one inbox can't be flooded from many addresses
+ *
+ * Limits, the lockout policy and the wrong-code allowance come from
+ * data/ratelimits/limits.json, or the file named by RATE_LIMITS_PATH.
+ *
+ * Counters live in a store chosen with RATE_LIMIT_STORE: "memory" (one
+ * process only) or "redis" (REDIS_URL; anything speaking the Redis
+ * protocol). Without RATE_LIMIT_STORE, Redis is used when REDIS_URL is
+ * set. If the store is unreachable, requests are let through and logged,
+ * except where that would allow unlimited code guessing: the check_code
+ * limit answers 503 and a wrong code retires the code.
+ */
+const DEFAULT_LIMITS = path.join(
+  path.dirname(fileURLToPath(import.meta.url)), "..", "data", "ratelimits", "limits.json"
+);
+
+export const LIMIT_KEYS = ["ip", "account", "target"];
+
+// Limits that refuse requests while the store is down
+const FAIL_CLOSED = ["check_code"];
+
+/* =========================
+   CONFIG
+========================= */
+let config;
+
+const validWindow = (max, window_minutes) => Number.isInteger(max) && max > 0 && window_minutes > 0;
+
+export function loadLimits(file = process.env.RATE_LIMITS_PATH || DEFAULT_LIMITS) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+
+  for (const [name, keys] of Object.entries(raw.limits || {})) {
+    for (const [key, window] of Object.entries(keys)) {
+      if (!LIMIT_KEYS.includes(key) || !validWindow(window.max, window.window_minutes)) {
+        throw new Error(`Invalid rate limit: ${name}.${key}`);
+      }
+    }
+  }
+
+  const lockout = { max_failures: 5, window_minutes: 15, lock_minutes: 15, ...raw.lockout };
+  const codeAttempts = { max_failures: 5, window_minutes: 60, ...raw.code_attempts };
+
+  if (!validWindow(lockout.max_failures, lockout.window_minutes) || !(lockout.lock_minutes > 0)) {
+    throw new Error("Invalid lockout policy");
+  }
+  if (!validWindow(codeAttempts.max_failures, codeAttempts.window_minutes)) {
+    throw new Error("Invalid code_attempts policy");
+  }
+
+  config = { limits: raw.limits || {}, lockout, codeAttempts };
+  return config;
+}
+
+loadLimits();
+
+export function listLimits() {
+  return config;
+}
+
+/* =========================
+   STORES
+   incr(key, ttlMs) -> { count, ttl }  starts the window on the first hit
+   ttl(key)         -> ms left, 0 when the key is absent
+   set(key, ttlMs), del(key)
+========================= */
+export function memoryStore() {
+  const entries = new Map();
+
+  const live = key => {
+    const entry = entries.get(key);
+    if (entry && entry.expires <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) if (entry.expires <= now) entries.delete(key);
+  }, 60e3);
+  sweep.unref();
+
+  return {
+    async incr(key, ttl) {
+      const entry = live(key) || { count: 0, expires: Date.now() + ttl };
+      entry.count++;
+      entries.set(key, entry);
+      return { count: entry.count, ttl: entry.expires - Date.now() };
+    },
+    async ttl(key) {
+      const entry = live(key);
+      return entry ? entry.expires - Date.now() : 0;
+    },
+    async set(key, ttl) {
+      entries.set(key, { count: 1, expires: Date.now() + ttl });
+    },
+    async del(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+export function redisStore(url = process.env.REDIS_URL) {
+  const redis = new Redis(url, { maxRetriesPerRequest: 1 });
+  redis.on("error", err => console.error("Rate limit store:", err.message));
+
+  return {
+    async incr(key, ttl) {
+      const [[, count], [, left]] = await redis.multi().incr(key).pttl(key).exec();
+
+      // A fresh key has no expiry yet (-1)
+      if (left < 0) {
+        await redis.pexpire(key, ttl);
+        return { count, ttl };
+      }
+      return { count, ttl: left };
+    },
+    async ttl(key) {
+      return Math.max(await redis.pttl(key), 0);
+    },
+    async set(key, ttl) {
+      await redis.set(key, "1", "PX", ttl);
+    },
+    async del(key) {
+      await redis.del(key);
+    }
+  };
+}
+
+export const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE ||
+  (process.env.REDIS_URL ? "redis" : "memory");
+
+const stores = { memory: memoryStore, redis: redisStore };
+
+if (!stores[RATE_LIMIT_STORE]) {
+  throw new Error(`Unknown RATE_LIMIT_STORE: ${RATE_LIMIT_STORE}`);
+}
+
+let store = stores[RATE_LIMIT_STORE]();
+
+// Swaps the counter store, e.g. for a shared one in scripts
+export function useStore(next) {
+  store = next;
+}
+
+// Identifiers are hashed so emails and numbers don't sit in the store
+const keyFor = (kind, id) => `rl:${kind}:${hashToken(String(id)).slice(0, 32)}`;
+
+const minutes = ms => Math.max(1, Math.ceil(ms / 60e3));
+
+/* =========================
+   LIMITS
+========================= */
+
+// The email or phone number in a request body, in the form it is stored
+export function targetOf(body = {}) {
+  if (body.email) return String(body.email).trim().toLowerCase();
+  if (body.phone) return normalisePhone(body.phone);
+  return null;
+}
+
+/*
+ * Counts one request against the named limit for each key given. Returns
+ * { limited, retryAfter } with retryAfter in seconds, and unavailable: true
+ * when a fail-closed limit couldn't be checked. Keys the limit doesn't
+ * configure, or that are empty, are skipped.
+ */
+export async function hit(name, keys) {
+  const limit = config.limits[name];
+  if (!limit) throw new Error(`Unknown rate limit: ${name}`);
+
+  let retryAfter = 0;
+
+  try {
+    for (const [key, { max, window_minutes }] of Object.entries(limit)) {
+      if (!keys[key]) continue;
+
+      const { count, ttl } = await store.incr(keyFor(`${name}:${key}`, keys[key]), window_minutes * 60e3);
+      if (count > max) retryAfter = Math.max(retryAfter, Math.ceil(ttl / 1000));
+    }
+  } catch (err) {
+    if (FAIL_CLOSED.includes(name)) {
+      console.error(`Rate limit ${name} unavailable, refusing:`, err.message);
+      return { limited: true, retryAfter: 60, unavailable: true };
+    }
+    console.error(`Rate limit ${name} skipped:`, err.message);
+    return { limited: false, retryAfter: 0 };
+  }
+
+  return { limited: retryAfter > 0, retryAfter };
+}
+
+export function tooMany(res, retryAfter, what = "requests") {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    error: `Too many ${what}. Please try again in ${minutes(retryAfter * 1000)} minute(s).`
+  });
+}
+
+// Middleware for a named limit. Put it after authorize() so the account
+// is known, and before body parsers for uploads.
+export function rateLimit(name, what) {
+  return async (req, res, next) => {
+    const { limited, retryAfter, unavailable } = await hit(name, {
+      ip: req.ip,
+      account: req.user?.id,
+      target: targetOf(req.body)
+    });
+
+    if (unavailable) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(503).json({ error: "This can't be checked right now. Please try again shortly." });
+    }
+    if (limited) return tooMany(res, retryAfter, what);
+    next();
+  };
+}
+
+/* =========================
+   LOGIN LOCKOUT
+   Keyed by the email or phone being logged into, whoever is trying.
+========================= */
+
+// Seconds until the account can be logged into again, 0 when it isn't locked
+export async function lockedFor(account) {
+  try {
+    return Math.ceil(await store.ttl(keyFor("lock", account)) / 1000);
+  } catch (err) {
+    console.error("Lockout check skipped:", err.message);
+    return 0;
+  }
+}
+
+// Counts a failed login; locks the account once max_failures is reached
+// and returns the lock's length in seconds (0 while still under it)
+export async function loginFailed(account) {
+  const { max_failures, window_minutes, lock_minutes } = config.lockout;
+
+  try {
+    const { count } = await store.incr(keyFor("login-fail", account), window_minutes * 60e3);
+    if (count < max_failures) return 0;
+
+    await store.set(keyFor("lock", account), lock_minutes * 60e3);
+    await store.del(keyFor("login-fail", account));
+    return lock_minutes * 60;
+  } catch (err) {
+    console.error("Login failure not counted:", err.message);
+    return 0;
+  }
+}
+
+export async function loginSucceeded(account) {
+  await store.del(keyFor("login-fail", account)).catch(() => {});
+}
+
+/* =========================
+   WRONG CODES
+   `scope` names the code, e.g. "verify:jane@example.com". After
+   max_failures wrong guesses the caller throws the code away.
+========================= */
+
+// True when this wrong guess used up the code's allowance. If the counter
+// can't be kept the code is given up on, so guesses are never unlimited.
+export async function codeFailed(scope) {
+  const { max_failures, window_minutes } = config.codeAttempts;
+
+  try {
+    const { count } = await store.incr(keyFor("code-fail", scope), window_minutes * 60e3);
+    if (count < max_failures) return false;
+
+    await store.del(keyFor("code-fail", scope));
+    return true;
+  } catch (err) {
+    console.error("Wrong code not counted, retiring the code:", err.message);
+    return true;
+  }
+}
+
+export async function clearCodeFailures(scope) {
+  await store.del(keyFor("code-fail", scope)).catch(() => {});
+}
@@ -0,0 +1,225 @@
+import { supabase } from "./supabase.js";
+import { CONTENT_TARGETS, targetExists } from "./targets.js";
+
+/*
+ * 1-5 star ratings on politicians, manifestos, achievements and promises.
+ *
+ * Only accounts with a verified email or phone number that are at least
+ * RATING_MIN_ACCOUNT_AGE_DAYS old may rate. When a target suddenly gets a
+ * burst of ratings from young accounts, those ratings are marked suspect,
+ * left out of every summary, and queued for a moderator in rating_bursts.
+ */
+
+const { politician, manifesto, achievement, promise } = CONTENT_TARGETS;
+export const RATING_TARGETS = { politician, manifesto, achievement, promise };
+
+const DAY = 86400e3;
+
+export const RATING_MIN_ACCOUNT_AGE_DAYS = Number(process.env.RATING_MIN_ACCOUNT_AGE_DAYS) || 3;
+
+// A burst is BURST_THRESHOLD ratings on one target within BURST_WINDOW_MINUTES
+// from accounts younger than NEW_ACCOUNT_DAYS.
+const NEW_ACCOUNT_DAYS = Number(process.env.RATING_NEW_ACCOUNT_DAYS) || 30;
+const BURST_THRESHOLD = Number(process.env.RATING_BURST_THRESHOLD) || 10;
+const BURST_WINDOW_MINUTES = Number(process.env.RATING_BURST_WINDOW_MINUTES) || 60;
+
+/* =========================
+   SUMMARIES
+========================= */
+
+// { average, count, distribution: { 1: n, ..., 5: n } } over rows with a
+// 1-5 `rating`; average is null when nobody has rated yet.
+export function ratingSummary(ratings) {
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  for (const r of ratings) distribution[r.rating]++;
+
+  if (!ratings.length) return { average: null, count: 0, distribution };
+
+  const total = ratings.reduce((sum, r) => sum + r.rating, 0);
+  return {
+    average: Math.round(total / ratings.length * 10) / 10,
+    count: ratings.length,
+    distribution
+  };
+}
+
+/*
+ * Two figures per candidate, keyed by profile id: `rating` from ratings of
+ * the politician themselves, `manifesto_rating` pooled over their
+ * manifestos. `manifestos` are { id, politician_id } rows.
+ */
+export async function candidateRatings(politician_ids, manifestos = []) {
+  const manifestoIds = manifestos.map(m => m.id);
+  const targets = [`and(target_type.eq.politician,target_id.in.(${politician_ids.join(",")}))`];
+  if (manifestoIds.length) {
+    targets.push(`and(target_type.eq.manifesto,target_id.in.(${manifestoIds.join(",")}))`);
+  }
+
+  const { data: ratings } = politician_ids.length
+    ? await supabase
+      .from("ratings")
+      .select("target_type, target_id, rating")
+      .eq("suspect", false)
+      .or(targets.join(","))
+    : { data: [] };
+
+  const ownerOf = new Map(manifestos.map(m => [m.id, m.politician_id]));
+  const rows = ratings || [];
+
+  return new Map(politician_ids.map(id => [id, {
+    rating: ratingSummary(rows.filter(r => r.target_type === "politician" && r.target_id === id)),
+    manifesto_rating: ratingSummary(
+      rows.filter(r => r.target_type === "manifesto" && ownerOf.get(r.target_id) === id)
+    )
+  }]));
+}
+
+/* =========================
+   ELIGIBILITY
+========================= */
+
+// Returns an error message if the account may not rate yet
+export async function ratingBlocker(user_id) {
+  const { data: account } = await supabase
+    .from("users")
+    .select("email_verified, phone_verified, created_at")
+    .eq("id", user_id)
+    .single();
+
+  if (!account?.email_verified && !account?.phone_verified) {
+    return "Verify your email address or phone number before rating";
+  }
+
+  const age = Date.now() - new Date(account.created_at).getTime();
+  if (age < RATING_MIN_ACCOUNT_AGE_DAYS * DAY) {
+    return `Accounts can rate once they are ${RATING_MIN_ACCOUNT_AGE_DAYS} days old`;
+  }
+
+  return null;
+}
+
+/*
+ * Saves (or replaces) one person's rating, for the API and the USSD menu.
+ * Returns { error, status } when the rating is refused.
+ */
+export async function submitRating({ user_id, target_type, target_id, rating }) {
+  const blocker = await ratingBlocker(user_id);
+  if (blocker) return { error: blocker, status: 403 };
+
+  if (!(await targetExists(target_type, target_id))) {
+    return { error: "Nothing to rate with that id", status: 404 };
+  }
+
+  // One rating per person per target; rating again replaces it
+  const { error } = await supabase
+    .from("ratings")
+    .upsert([{
+      user_id,
+      target_type,
+      target_id,
+      rating,
+      updated_at: new Date()
+    }], { onConflict: "user_id,target_type,target_id" });
+
+  if (error) throw new Error(error.message);
+
+  detectBurst(target_type, target_id)
+    .catch(err => console.error("Rating burst check failed:", err.message));
+
+  return {};
+}
+
+/* =========================
+   BURST DETECTION
+========================= */
+
+/*
+ * Looks for a burst of new-account ratings on one target. On a hit, every
+ * rating in the burst is marked suspect and the burst is opened (or its
+ * count refreshed) for review. Ratings a moderator has already reviewed
+ * stay as they decided: only ratings given or changed since the last
+ * review count. Returns true when a burst is active.
+ */
+export async function detectBurst(target_type, target_id) {
+  const { data: reviewed } = await supabase
+    .from("rating_bursts")
+    .select("reviewed_at")
+    .eq("target_type", target_type)
+    .eq("target_id", target_id)
+    .neq("status", "open")
+    .order("reviewed_at", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  const windowStart = Date.now() - BURST_WINDOW_MINUTES * 60e3;
+  const since = new Date(Math.max(windowStart, new Date(reviewed?.reviewed_at || 0).getTime())).toISOString();
+  const youngSince = new Date(Date.now() - NEW_ACCOUNT_DAYS * DAY).toISOString();
+
+  const { data: recent } = await supabase
+    .from("ratings")
+    .select("id, users!inner(created_at)")
+    .eq("target_type", target_type)
+    .eq("target_id", target_id)
+    .gt("updated_at", since)
+    .gte("users.created_at", youngSince);
+
+  if (!recent || recent.length < BURST_THRESHOLD) return false;
+
+  const ids = recent.map(r => r.id);
+
+  await supabase
+    .from("ratings")
+    .update({ suspect: true })
+    .in("id", ids);
+
+  const { data: open } = await supabase
+    .from("rating_bursts")
+    .select("id")
+    .eq("target_type", target_type)
+    .eq("target_id", target_id)
+    .eq("status", "open")
+    .maybeSingle();
+
+  if (open) {
+    await supabase
+      .from("rating_bursts")
+      .update({ rating_ids: ids, rating_count: ids.length, last_seen_at: new Date() })
+      .eq("id", open.id);
+  } else {
+    await supabase.from("rating_bursts").insert([{
+      target_type,
+      target_id,
+      rating_ids: ids,
+      rating_count: ids.length,
+      status: "open"
+    }]);
+  }
+
+  return true;
+}
+
+/*
+ * A moderator's decision on a burst. "dismiss" means the ratings were
+ * genuine and counts them again; "discard" keeps them out for good.
+ */
+export async function resolveBurst(burst_id, decision, reviewer_id) {
+  const { data: burst } = await supabase
+    .from("rating_bursts")
+    .update({
+      status: decision === "dismiss" ? "dismissed" : "discarded",
+      reviewed_by: reviewer_id,
+      reviewed_at: new Date()
+    })
+    .eq("id", burst_id)
+    .eq("status", "open")
+    .select("rating_ids")
+    .single();
+
+  if (!burst) return false;
+
+  if (decision === "dismiss") {
+    await supabase.from("ratings").update({ suspect: false }).in("id", burst.rating_ids);
+  }
+
+  return true;
+}
@@ -0,0 +1,59 @@
+import { supabase } from "./supabase.js";
+import { locationColumns } from "./geo.js";
+import { moderate, visibilityFor, enqueueForReview } from "./moderation.js";
+import { attachMedia } from "./media.js";
+import { refreshCredibility } from "./credibility.js";
+import { evaluateEscalations } from "./escalation.js";
+
+/*
+ * Posting a ground update, shared by the API and the SMS/USSD channel:
+ * moderation, credibility seeding and the escalation check all happen here
+ * so every channel is held to the same rules.
+ *
+ * `area` is a resolved { county, constituency, ward } and `point` an
+ * optional { lat, lng }; both are validated by the caller. Returns
+ * { rejected: true } when moderation refuses the text, otherwise
+ * { id, held, media }.
+ */
+export async function submitGroundUpdate({ user_id, location, category, content, area, point, media = [], keepLocation = false }) {
+  const verdict = await moderate(`${location}\n${content}`, { user_id, target_type: "ground_update" });
+
+  if (verdict.action === "reject") return { rejected: true };
+
+  const { county_code, constituency_code, ward_code } = locationColumns(area);
+
+  const { data: update, error } = await supabase
+    .from("ground_updates")
+    .insert([{
+      user_id,
+      location,
+      category,
+      content,
+      county_code,
+      constituency_code,
+      ward_code,
+      latitude: point?.lat ?? null,
+      longitude: point?.lng ?? null,
+      moderation_status: visibilityFor(verdict),
+      incident_hold: verdict.incident
+    }])
+    .select("id")
+    .single();
+
+  if (error) throw new Error(error.message);
+
+  const attached = await attachMedia("ground_update", update.id, user_id, media, { keepLocation });
+
+  // Starts the update's confidence at the reporter's trust score
+  await refreshCredibility(update.id);
+
+  // Responders are notified in the background; the reporter doesn't wait
+  evaluateEscalations({ id: update.id, category, county_code, constituency_code, ward_code })
+    .catch(err => console.error("Escalation check failed:", err.message));
+
+  if (verdict.action === "hold") {
+    await enqueueForReview({ target_type: "ground_update", target_id: update.id, user_id, content, verdict });
+  }
+
+  return { id: update.id, held: verdict.action === "hold", media: attached };
+}
@@ -0,0 +1,83 @@
+import { supabase } from "./supabase.js";
+import { revokeAllSessions } from "./auth.js";
+
+/*
+ * User reports on content. Every triage and resolution step is appended to
+ * report_actions, so the history of a decision is never overwritten.
+ */
+
+export const REPORT_REASONS = [
+  "hate_speech",
+  "incitement",
+  "harassment",
+  "misinformation",
+  "spam",
+  "impersonation",
+  "other"
+];
+
+// Where each reportable target lives and how to find its author
+export const REPORT_TARGETS = {
+  manifesto: { table: "manifestos", owner: "politician_profiles(user_id)" },
+  comment: { table: "comments", owner: "user_id" },
+  ground_update: { table: "ground_updates", owner: "user_id" },
+  politician_profile: { table: "politician_profiles", owner: "user_id" },
+  promise: { table: "promises", owner: "politician_profiles(user_id)" },
+  promise_evidence: { table: "promise_evidence", owner: "user_id" }
+};
+
+export const RESOLUTIONS = ["dismiss", "hide_content", "warn_user", "suspend_user"];
+
+// Returns the user_id of whoever wrote the target, or null if it doesn't exist
+export async function targetOwner(target_type, target_id) {
+  const target = REPORT_TARGETS[target_type];
+  if (!target) return null;
+
+  const { data } = await supabase
+    .from(target.table)
+    .select(`id, ${target.owner}`)
+    .eq("id", target_id)
+    .single();
+
+  if (!data) return null;
+  return data.user_id || data.politician_profiles?.user_id || null;
+}
+
+export async function recordAction(report_id, actor_id, action, note = null) {
+  await supabase.from("report_actions").insert([{
+    report_id,
+    actor_id,
+    action,
+    note
+  }]);
+}
+
+/* =========================
+   ENFORCEMENT
+========================= */
+export async function hideContent(target_type, target_id) {
+  const { table } = REPORT_TARGETS[target_type];
+
+  await supabase.from(table)
+    .update({ moderation_status: "removed" })
+    .eq("id", target_id);
+}
+
+export async function warnUser(user_id, issued_by, report_id, note) {
+  await supabase.from("user_warnings").insert([{
+    user_id,
+    issued_by,
+    report_id,
+    note
+  }]);
+}
+
+// Flips is_active (which /login and every authenticated request check) and
+// ends any session the user already has.
+export async function suspendUser(user_id) {
+  await supabase.from("users")
+    .update({ is_active: false })
+    .eq("id", user_id);
+
+  await revokeAllSessions(user_id);
+}
@@ -0,0 +1,143 @@
+import { supabase } from "./supabase.js";
+
+/*
+ * Search across politicians, manifestos and ground updates. Matching and
+ * ranking happen in the search_content() database function (full-text plus
+ * trigram similarity for typos); this module builds the snippets.
+ *
+ * Highlighting is done here rather than with ts_headline so that words
+ * matched only through typo tolerance ("helth" -> "health") get marked too.
+ */
+
+export const SEARCH_TYPES = ["politician", "manifesto", "ground_update"];
+
+const SNIPPET_WORDS = 30;
+
+export async function search({ q, types = SEARCH_TYPES, seat, county_code, party, category, limit, offset }) {
+  const { data, error } = await supabase.rpc("search_content", {
+    q,
+    kinds: types,
+    p_seat: seat || null,
+    p_county_code: county_code || null,
+    p_party: party || null,
+    p_category: category || null,
+    p_limit: limit + 1,
+    p_offset: offset
+  });
+
+  if (error) throw new Error(error.message);
+
+  const terms = queryTerms(q);
+  const rows = data.slice(0, limit);
+
+  return {
+    results: rows.map(row => ({
+      type: row.kind,
+      id: row.id,
+      politician_id: row.politician_id,
+      title: row.title,
+      seat: row.seat,
+      county: row.county,
+      party: row.party,
+      category: row.category,
+      created_at: row.created_at,
+      rank: Math.round(row.rank * 1000) / 1000,
+      highlights: {
+        title: highlight(row.title, terms),
+        snippet: snippet(row.body, terms)
+      }
+    })),
+    next_offset: data.length > limit ? offset + limit : null
+  };
+}
+
+/* =========================
+   HIGHLIGHTING
+========================= */
+const fold = word => word.normalize("NFKD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+
+const escapeHtml = text => text.replace(/[&<>"']/g, ch => ({
+  "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;"
+})[ch]);
+
+// Words of a websearch-style query, minus operators, quoting and -excluded words
+export function queryTerms(q) {
+  const wanted = String(q || "").replace(/(^|\s)-\S+/g, " ");
+  return (wanted.match(/[\p{L}\p{N}']+/gu) || [])
+    .map(fold)
+    .filter(t => t !== "or" && t.length > 1);
+}
+
+// Levenshtein distance, giving up once it passes `max`
+function distance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      best = Math.min(best, row[j]);
+    }
+    if (best > max) return max + 1;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// Exact, prefix ("educ" -> "education") or within a typo or two
+function matches(word, terms) {
+  const w = fold(word);
+  return terms.some(t => {
+    if (w === t || (t.length >= 3 && w.startsWith(t))) return true;
+    const allowed = t.length >= 8 ? 2 : t.length >= 4 ? 1 : 0;
+    return allowed > 0 && distance(w, t, allowed) <= allowed;
+  });
+}
+
+// Splits text into words and the gaps between them, keeping everything
+function pieces(text) {
+  return String(text || "").match(/[\p{L}\p{N}']+|[^\p{L}\p{N}']+/gu) || [];
+}
+
+const mark = (parts, terms) => parts
+  .map(p => /[\p{L}\p{N}]/u.test(p) && matches(p, terms) ? `<mark>${escapeHtml(p)}</mark>` : escapeHtml(p))
+  .join("");
+
+// HTML-escaped text with matching words wrapped in <mark>
+export function highlight(text, terms) {
+  if (!text) return text ?? null;
+  return mark(pieces(text), terms);
+}
+
+// The SNIPPET_WORDS-word window with the most matches, highlighted
+export function snippet(text, terms) {
+  if (!text) return null;
+
+  const parts = pieces(text);
+  const wordAt = parts.map((p, i) => (/[\p{L}\p{N}]/u.test(p) ? i : -1)).filter(i => i >= 0);
+  const hit = wordAt.map(i => matches(parts[i], terms));
+
+  if (wordAt.length <= SNIPPET_WORDS) return mark(parts, terms);
+
+  let best = 0;
+  let bestCount = -1;
+  let count = 0;
+  for (let i = 0; i < wordAt.length; i++) {
+    if (hit[i]) count++;
+    if (i >= SNIPPET_WORDS && hit[i - SNIPPET_WORDS]) count--;
+    const start = i - SNIPPET_WORDS + 1;
+    if (start >= 0 && count > bestCount) {
+      bestCount = count;
+      best = start;
+    }
+  }
+
+  const from = wordAt[best];
+  const to = wordAt[Math.min(best + SNIPPET_WORDS, wordAt.length) - 1];
+
+  return (from > 0 ? "… " : "") +
+    mark(parts.slice(from, to + 1), terms) +
+    (to < parts.length - 1 ? " …" : "");
+}
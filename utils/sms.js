@@ -0,0 +1,93 @@
+import "dotenv/config";
+import fs from "fs";
+import path from "path";
+
+/*
+ * Outgoing SMS, chosen with SMS_TRANSPORT:
+ *
+ *   africastalking  Africa's Talking messaging API (AT_USERNAME, AT_API_KEY,
+ *                   optional AT_SENDER_ID). AT_BASE_URL can point at the
+ *                   local simulator (npm run simulate:ussd).
+ *   file            local stub: appends each message to SMS_DIR/<number>.txt
+ *                   (default outbox/sms), handy for reading codes in tests
+ *   console         prints the message, codes included, to the log
+ *
+ * Without SMS_TRANSPORT, Africa's Talking is used when AT_API_KEY is set.
+ * The stubs must be asked for by name: with no provider configured the
+ * server refuses to start rather than print one-time codes to stdout.
+ */
+
+function atBaseUrl() {
+  if (process.env.AT_BASE_URL) return process.env.AT_BASE_URL;
+  return process.env.AT_USERNAME === "sandbox"
+    ? "https://api.sandbox.africastalking.com"
+    : "https://api.africastalking.com";
+}
+
+const transports = {
+  async africastalking(to, message) {
+    const body = new URLSearchParams({ username: process.env.AT_USERNAME || "", to, message });
+    if (process.env.AT_SENDER_ID) body.set("from", process.env.AT_SENDER_ID);
+
+    const res = await fetch(`${atBaseUrl()}/version1/messaging`, {
+      method: "POST",
+      headers: {
+        apiKey: process.env.AT_API_KEY || "",
+        Accept: "application/json",
+        "Content-Type": "application/x-www-form-urlencoded"
+      },
+      body,
+      signal: AbortSignal.timeout(10000)
+    });
+
+    if (!res.ok) throw new Error(`Africa's Talking answered ${res.status}`);
+
+    const recipient = (await res.json()).SMSMessageData?.Recipients?.[0];
+    if (recipient?.status !== "Success") {
+      throw new Error(`SMS to ${to} not accepted: ${recipient?.status || "no recipients"}`);
+    }
+
+    return recipient.messageId;
+  },
+
+  async file(to, message) {
+    const dir = path.resolve(process.env.SMS_DIR || path.join("outbox", "sms"));
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.appendFile(
+      path.join(dir, `${to.replace(/[^\d+]/g, "")}.txt`),
+      `[${new Date().toISOString()}] ${message}\n`
+    );
+    return null;
+  },
+
+  async console(to, message) {
+    console.log(`[sms] to=${to}\n${message}`);
+    return null;
+  }
+};
+
+export const SMS_TRANSPORT = process.env.SMS_TRANSPORT ||
+  (process.env.AT_API_KEY ? "africastalking" : null);
+
+if (!SMS_TRANSPORT) {
+  throw new Error("No SMS provider configured: set AT_API_KEY, or SMS_TRANSPORT (file or console)");
+}
+if (!transports[SMS_TRANSPORT]) {
+  throw new Error(`Unknown SMS_TRANSPORT: ${SMS_TRANSPORT}`);
+}
+// The local simulator (AT_BASE_URL) doesn't check keys
+if (SMS_TRANSPORT === "africastalking" && !process.env.AT_API_KEY && !process.env.AT_BASE_URL) {
+  throw new Error("SMS_TRANSPORT=africastalking needs AT_API_KEY");
+}
+
+// Resolves to the provider's message id; throws if the message is refused
+export function sendSms(to, message) {
+  return transports[SMS_TRANSPORT](to, message);
+}
+
+// Africa's Talking can't sign its callbacks, so the callback URLs carry a
+// shared token: /ussd/callback?token=AT_CALLBACK_TOKEN
+export function isTrustedGatewayCallback(req) {
+  return !!process.env.AT_CALLBACK_TOKEN &&
+    req.query.token === process.env.AT_CALLBACK_TOKEN;
+}
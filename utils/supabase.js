@@ -0,0 +1,9 @@
+import "dotenv/config";
+import { createClient } from "@supabase/supabase-js";
+
+// Shared service-role client. Loads .env itself because ES module imports
+// run before server.js gets a chance to call dotenv.config().
+export const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
@@ -0,0 +1,24 @@
+import { supabase } from "./supabase.js";
+
+/*
+ * Public content that people can rate or comment on, where it lives and
+ * which rows count as public.
+ */
+export const CONTENT_TARGETS = {
+  politician: { table: "politician_profiles", visible: q => q.eq("is_verified", true).eq("moderation_status", "visible") },
+  manifesto: { table: "manifestos", visible: q => q.eq("moderation_status", "visible").is("deleted_at", null) },
+  achievement: { table: "achievements", visible: q => q.eq("moderation_status", "visible") },
+  promise: { table: "promises", visible: q => q.eq("moderation_status", "visible") },
+  ground_update: { table: "ground_updates", visible: q => q.eq("moderation_status", "visible") }
+};
+
+export async function targetExists(target_type, target_id) {
+  const target = CONTENT_TARGETS[target_type];
+  if (!target) return false;
+
+  const { data } = await target.visible(
+    supabase.from(target.table).select("id").eq("id", target_id)
+  ).maybeSingle();
+
+  return !!data;
+}